@@ -0,0 +1,157 @@
+import { analyzeJwts } from './jwt.js';
+import { decodeRequestBody } from './request-body.js';
+import { RULES, getHeader } from './rules.js';
+import { SEVERITIES, countRuleHit, disabledRules, userRules } from './user-rules.js';
+
+// --- Security header / cookie audit ---------------------------------------------
+// Page-level headers (CSP, framing, Referrer-Policy, Permissions-Policy, HSTS) are only
+// expected on documents; nosniff on anything with a Content-Type. Issue codes double as
+// tag labels. Per-host summaries are aggregated from the stored entries (hostSummary).
+const HSTS_MIN_MAX_AGE = 180 * 24 * 3600;
+
+export function auditIssue(code) {
+	return (r) => r.audit.issues.some(i => i.code === code);
+}
+
+export function hasFinding(code) {
+	return (r) => r.findings.includes(code);
+}
+
+function parseCsp(value) {
+	const directives = {};
+	String(value || '').split(';').forEach(part => {
+		const tokens = part.trim().split(/\s+/).filter(Boolean);
+		if (tokens.length) directives[tokens[0].toLowerCase()] = tokens.slice(1).map(t => t.toLowerCase());
+	});
+	return directives;
+}
+
+function cspWeaknesses(csp) {
+	const weak = [];
+	const script = csp['script-src'] || csp['default-src'];
+	if (!script) weak.push('no script-src or default-src');
+	else {
+		const nonceOrHash = script.some(src => /^'(nonce-|sha(256|384|512)-)/.test(src)) || script.includes("'strict-dynamic'");
+		if (script.includes("'unsafe-inline'") && !nonceOrHash) weak.push("script-src allows 'unsafe-inline'");
+		if (script.includes("'unsafe-eval'")) weak.push("script-src allows 'unsafe-eval'");
+		const wide = script.filter(src => ['*', 'data:', 'blob:', 'http:', 'https:'].includes(src));
+		if (wide.length) weak.push('script-src allows ' + wide.join(' '));
+	}
+	if (!csp['object-src'] && !csp['default-src']) weak.push('no object-src or default-src');
+	return weak;
+}
+
+function auditCookies(headers, https) {
+	return (headers || [])
+		.filter(h => h.name?.toLowerCase() === 'set-cookie')
+		.flatMap(h => String(h.value || '').split('\n'))
+		.map(line => {
+			const parts = line.split(';').map(p => p.trim());
+			const name = (parts[0].split('=')[0] || '').trim();
+			const attrs = parts.slice(1);
+			const has = (a) => attrs.some(p => p.split('=')[0].trim().toLowerCase() === a);
+			if (attrs.some(p => /^max-age=\s*0$/i.test(p))) return null; // deletion
+			const sameSite = attrs.find(p => /^samesite=/i.test(p));
+			const missing = [];
+			if (https && !has('secure')) missing.push('Secure');
+			if (!has('httponly')) missing.push('HttpOnly');
+			if (!sameSite) missing.push('SameSite');
+			else if (/=\s*none$/i.test(sameSite) && !has('secure')) missing.push('Secure (SameSite=None)');
+			return name && missing.length ? { name, missing } : null;
+		})
+		.filter(Boolean);
+}
+
+function auditResponse(rec) {
+	const res = rec.response;
+	const issues = [];
+	if (!res) return { issues, cookies: [] };
+	const h = res.responseHeaders || [];
+	const https = /^https:/i.test(rec.url || '');
+	const contentType = getHeader(h, 'Content-Type');
+	const isDocument = rec.type === 'main_frame' || rec.type === 'sub_frame' || /text\/html/i.test(contentType);
+	const add = (code, detail) => issues.push({ code, detail });
+
+	if (isDocument) {
+		const cspHeader = getHeader(h, 'Content-Security-Policy');
+		const csp = parseCsp(cspHeader);
+		if (!cspHeader) add('CSP', getHeader(h, 'Content-Security-Policy-Report-Only') ? 'CSP is report-only' : 'Content-Security-Policy missing');
+		else cspWeaknesses(csp).forEach(w => add('CSP', w));
+		const xfo = getHeader(h, 'X-Frame-Options');
+		if (!csp['frame-ancestors'] && !/^\s*(deny|sameorigin)\s*$/i.test(xfo)) add('CLICKJACK', xfo ? 'X-Frame-Options "' + xfo + '" is not DENY/SAMEORIGIN' : 'No X-Frame-Options or frame-ancestors');
+		const referrer = getHeader(h, 'Referrer-Policy');
+		if (!referrer) add('REFERRER', 'Referrer-Policy missing');
+		else if (/unsafe-url|no-referrer-when-downgrade/i.test(referrer)) add('REFERRER', 'Referrer-Policy "' + referrer + '" leaks full URLs');
+		if (!getHeader(h, 'Permissions-Policy') && !getHeader(h, 'Feature-Policy')) add('PERMISSIONS', 'Permissions-Policy missing');
+		if (https) {
+			const hsts = getHeader(h, 'Strict-Transport-Security');
+			const maxAge = /max-age\s*=\s*"?(\d+)/i.exec(hsts);
+			if (!hsts) add('HSTS', 'Strict-Transport-Security missing');
+			else if (!maxAge || +maxAge[1] < HSTS_MIN_MAX_AGE) add('HSTS', 'HSTS max-age below 180 days');
+		}
+	}
+	if (contentType && !/^\s*nosniff\s*$/i.test(getHeader(h, 'X-Content-Type-Options'))) add('NOSNIFF', 'X-Content-Type-Options: nosniff missing');
+
+	// The wildcard check (CORS_WIDE) cannot see an allow-list that simply echoes Origin
+	const origin = getHeader(rec.requestHeaders, 'Origin');
+	const acao = getHeader(h, 'Access-Control-Allow-Origin').trim();
+	const creds = /^\s*true\s*$/i.test(getHeader(h, 'Access-Control-Allow-Credentials'));
+	if (creds && acao && acao !== '*') {
+		if (acao.toLowerCase() === 'null') add('CORS-CREDS', 'Allows origin "null" with credentials');
+		else if (origin && acao === origin) {
+			let crossOrigin = true;
+			try { crossOrigin = new URL(origin).host !== new URL(rec.url).host; } catch (e) { /* keep */ }
+			if (crossOrigin) add('CORS-CREDS', 'Reflects Origin ' + origin + ' with credentials');
+		}
+	}
+	return { issues, cookies: auditCookies(h, https) };
+}
+
+// { preview: true } leaves the JWT host tracking alone (see analyzeJwts)
+export function computeTagsAndScore(rec, { preview = false } = {}) {
+	let u;
+	try { u = new URL(rec.url); } catch (e) { u = { pathname: rec.url || '', search: '' }; }
+	const r = {
+		url: rec.url,
+		host: u.host || rec.host || '',
+		path: u.pathname || '',
+		method: rec.method || 'GET',
+		query: u.search || '',
+		bodyText: decodeRequestBody(rec.requestBody)?.text || '',
+		resBody: rec.response?.body?.text || '',
+		reqHeaders: rec.requestHeaders || [],
+		resHeaders: rec.response?.responseHeaders || [],
+		status: rec.response?.statusCode || 0,
+		reqCookie: getHeader(rec.requestHeaders, 'Cookie') || '',
+		recent429: !!rec.recent429,
+		jwts: analyzeJwts(rec, { preview }),
+		audit: auditResponse(rec),
+		findings: rec.findings || []
+	};
+
+	const tags = [];
+	const ruleIds = [];
+	const tagSeverity = {}; // label -> highest severity among matching user rules
+	let score = 0;
+	for (const rule of RULES.concat(userRules)) {
+		if (disabledRules.has(rule.id)) continue;
+		try {
+			if (rule.test(r)) {
+				tags.push(rule.label); score += rule.weight; ruleIds.push(rule.id);
+				if (rule.severity && SEVERITIES.indexOf(rule.severity) > SEVERITIES.indexOf(tagSeverity[rule.label])) tagSeverity[rule.label] = rule.severity;
+			}
+		} catch (e) { /* ignore rule errors */ }
+	}
+	const uniqueTags = Array.from(new Set(tags));
+	return { tags: uniqueTags, score, ruleIds, tagSeverity, jwts: r.jwts, audit: r.audit };
+}
+
+// Apply computeTagsAndScore to an entry, counting a hit for each rule it newly matches
+export function applyTags(entry) {
+	const deco = computeTagsAndScore(entry);
+	const before = new Set(entry.ruleIds || []);
+	deco.ruleIds.forEach(id => { if (!before.has(id)) countRuleHit(id); });
+	entry.tags = deco.tags; entry.score = deco.score;
+	entry.ruleIds = deco.ruleIds; entry.tagSeverity = deco.tagSeverity;
+	entry.jwts = deco.jwts; entry.audit = deco.audit;
+}
@@ -0,0 +1,134 @@
+import { applyTags } from './audit.js';
+import { scheduleCorrelation } from './correlation.js';
+import { takeNewlyReused } from './jwt.js';
+import { isOwnRequest } from './repeater.js';
+import { inScope } from './scope.js';
+import { LIVE_ITEMS, activeSessionId, persist, store } from './storage.js';
+import { saveState, whenRestored } from './worker.js';
+
+// --- Traffic capture (webRequest) ------------------------------------------------
+// Pages' requests become entries in `store` (see storage.js) as their webRequest events
+// arrive; every event re-tags the entry. 429 responses are counted per host + path
+// over a sliding window and mark the matching entries.
+
+// Rate-limit tracking: map key -> count of recent 429s (key = host|path)
+export const recent429 = new Map();
+export const RECENT_429_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+
+// Hold timestamps for cleanup: key -> array of timestamps
+export const recent429Times = new Map();
+
+// Helper: push entry safely
+export function addOrUpdateRequest(details) {
+	let existing = store.find(r => r.id === details.requestId);
+	if (!existing) {
+		if (!inScope(details.url)) return;
+		existing = {
+			id: details.requestId,
+			method: details.method,
+			url: details.url,
+			host: (()=>{try{return new URL(details.url).host;}catch(e){return ''}})(),
+			timestamp: Date.now(),
+			sessionId: activeSessionId,
+			requestHeaders: details.requestHeaders || [],
+			requestBody: details.requestBody || null,
+			type: details.type || '',
+			tabId: details.tabId,
+			response: null,
+			tags: [],
+			score: 0
+		};
+		store.unshift(existing);
+		if (store.length > LIVE_ITEMS) store.pop();
+		// Initial classification
+		classify(existing);
+	} else {
+		// Merge request headers/body if late
+		if (details.requestHeaders) existing.requestHeaders = details.requestHeaders;
+		if (details.requestBody) existing.requestBody = details.requestBody;
+		// Re-classify on update
+		classify(existing);
+	}
+}
+
+// Re-tag an entry and queue it for writing
+export function classify(entry) {
+	applyTags(entry);
+	persist(entry);
+	scheduleCorrelation();
+	// A token just showed up on a second host: re-tag earlier live entries that carry it
+	const tokens = takeNewlyReused();
+	if (tokens.length) {
+		store.forEach(e => {
+			if (e !== entry && (e.jwts || []).some(j => tokens.includes(j.token))) { applyTags(e); persist(e); }
+		});
+	}
+}
+
+// Request timing end (used for HAR timings)
+chrome.webRequest.onCompleted.addListener(
+	whenRestored(details => {
+		const entry = store.find(r => r.id === details.requestId);
+		if (entry && entry.response) { entry.response.completedAt = Date.now(); persist(entry); }
+	}),
+	{ urls: ['<all_urls>'] }
+);
+
+// Request capture (headers + optional body meta). onSendHeaders sees the headers as
+// sent, after match-and-replace rules.
+chrome.webRequest.onSendHeaders.addListener(
+	whenRestored(details => {
+		if (details.url.startsWith('chrome-extension://') || details.url.startsWith('chrome://') || isOwnRequest(details)) return;
+		addOrUpdateRequest(details);
+	}),
+	{ urls: ['<all_urls>'] },
+	['requestHeaders', 'extraHeaders']
+);
+
+// Capture request body for sensitive param detection
+chrome.webRequest.onBeforeRequest.addListener(
+	whenRestored(details => {
+		if (details.url.startsWith('chrome-extension://') || details.url.startsWith('chrome://') || isOwnRequest(details)) return;
+		// onBeforeRequest fires before onBeforeSendHeaders, so the entry is created here
+		addOrUpdateRequest(details);
+	}),
+	{ urls: ['<all_urls>'] },
+	['requestBody']
+);
+
+// Response capture
+chrome.webRequest.onResponseStarted.addListener(
+	whenRestored(details => {
+		const entry = store.find(r => r.id === details.requestId);
+		if (entry) {
+			entry.response = {
+				statusCode: details.statusCode,
+				statusLine: details.statusLine || `HTTP ${details.statusCode}`,
+				responseHeaders: details.responseHeaders || [],
+				timestamp: Date.now(),
+				fromCache: !!details.fromCache
+			};
+			// Re-classify when response arrives
+			classify(entry);
+		}
+			// RATE-LIMIT tracking: if 429, increment bucket for host+path
+			if (details.statusCode === 429) {
+				try {
+					const key = (()=>{try{return new URL(details.url).host + '|' + new URL(details.url).pathname;}catch(e){return details.url;}})();
+					const now = Date.now();
+					if (!recent429Times.has(key)) recent429Times.set(key, []);
+					recent429Times.get(key).push(now);
+					// prune older than window
+					recent429Times.set(key, recent429Times.get(key).filter(ts => ts > now - RECENT_429_WINDOW_MS));
+					recent429.set(key, recent429Times.get(key).length);
+					saveState();
+					// mark any store entries matching this key
+					store.forEach(s => {
+						try { const k2 = new URL(s.url).host + '|' + new URL(s.url).pathname; if (k2 === key) { s.recent429 = true; classify(s); } } catch(e){}
+					});
+				} catch (e) { /* ignore */ }
+			}
+	}),
+	{ urls: ['<all_urls>'] },
+	['responseHeaders', 'extraHeaders']
+);
@@ -0,0 +1,275 @@
+import { applyTags } from './audit.js';
+import { segmentKind, templatePath } from './inventory.js';
+import { JWT_RE } from './jwt.js';
+import { getHeader } from './rules.js';
+import { activeSessionId, entriesBefore, persist, recentEntries, store } from './storage.js';
+import { SEVERITIES } from './user-rules.js';
+import { saveState } from './worker.js';
+
+// --- Correlation (cross-request findings) ------------------------------------------
+// Detectors that look across a whole session rather than at one request. Each finding
+// lists the entries it rests on; those entries carry the finding code in `findings`,
+// which the cross-request RULES turn into tags. correlate() re-reads the newest
+// CORRELATE_MAX_ENTRIES of the session, so it runs debounced after traffic settles and
+// whenever the FINDINGS view or a report asks. Older entries lose their findings.
+const CORRELATE_DELAY_MS = 5000;
+const CORRELATE_MAX_ENTRIES = 5000;
+const ID_PARAM_RE = /^(id|uid|uuid)$|[_-](id|uid|uuid)$|[a-z]Id$/;
+const AUTH_PATH_RE = /\/(login|signin|sign-in|auth|oauth|token|sessions?|password|reset|otp|mfa|2fa|verify)\b/i;
+const AUTH_WINDOW_MS = 5 * 60 * 1000;
+const AUTH_MIN_ATTEMPTS = 10;
+const ERROR_SPIKE_WINDOW_MS = 60 * 1000;
+const ERROR_SPIKE_MIN = 5;
+const SIZE_RATIO = 3;       // AUTHZ-DIFF: largest / smallest typical size per identity
+const SIZE_MIN_DIFF = 512;
+const SESSION_COOKIE_RE = /sess|sid|auth|token|jwt/i;
+const SENSITIVE_KEY_RE = /token|session|secret|api_?key|jwt|auth|password|sid|code/i;
+// sessionId -> timestamp of the oldest entry in its last correlated window, so the next
+// run only has to look at entries that have dropped out of the window since
+export const correlatedFrom = new Map();
+let correlateTimer = null;
+
+export function scheduleCorrelation() {
+	if (!correlateTimer) correlateTimer = setTimeout(() => {
+		correlateTimer = null;
+		runCorrelation(activeSessionId).catch(e => console.error('[HTTP Analyzer] Correlation failed:', e));
+	}, CORRELATE_DELAY_MS);
+}
+
+// Short, stable label for a credential so findings never show the value itself
+export function fingerprint(text) {
+	let h = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+	return (h >>> 0).toString(16).padStart(8, '0').slice(0, 6);
+}
+
+// Who sent the request: the Authorization header, else session-like cookies, else anonymous
+function identityOf(entry) {
+	const auth = getHeader(entry.requestHeaders, 'Authorization');
+	if (auth) return 'auth#' + fingerprint(auth);
+	const cookies = getHeader(entry.requestHeaders, 'Cookie').split(';').map(c => c.trim())
+		.filter(c => SESSION_COOKIE_RE.test(c.split('=')[0])).sort();
+	return cookies.length ? 'cookie#' + fingerprint(cookies.join(';')) : 'anonymous';
+}
+
+function responseSize(entry) {
+	const length = parseInt(getHeader(entry.response?.responseHeaders, 'Content-Length'), 10);
+	if (!isNaN(length)) return length;
+	return entry.response?.body?.text != null ? entry.response.body.text.length : null;
+}
+
+function median(values) {
+	const sorted = values.slice().sort((a, b) => a - b);
+	return sorted[Math.floor(sorted.length / 2)];
+}
+
+function redactValue(value) {
+	return value.slice(0, 4) + '...(' + value.length + ' chars)';
+}
+
+// Values a response hands out that should not end up in URLs: JSON fields with
+// sensitive names, Set-Cookie values and JWTs
+function sensitiveValues(entry) {
+	const out = [];
+	const add = (name, value) => {
+		value = String(value);
+		if (value.length >= 10 && /\d/.test(value) && /[A-Za-z]/.test(value)) out.push({ name, value });
+	};
+	(entry.response?.responseHeaders || []).filter(h => /^set-cookie$/i.test(h.name)).forEach(h => String(h.value || '').split('\n').forEach(line => {
+		const pair = line.split(';')[0];
+		const i = pair.indexOf('=');
+		if (i > 0) add('cookie ' + pair.slice(0, i).trim(), pair.slice(i + 1).trim());
+	}));
+	const text = entry.response?.body?.text || '';
+	if (/^\s*[[{]/.test(text)) {
+		const walk = (v, key, depth) => {
+			if (depth > 6 || v == null) return;
+			if (typeof v === 'object') Object.entries(v).forEach(([k, x]) => walk(x, Array.isArray(v) ? key : k, depth + 1));
+			else if (typeof v === 'string' && key && SENSITIVE_KEY_RE.test(key)) add(key, v);
+		};
+		try { walk(JSON.parse(text), '', 0); } catch (e) { /* not JSON after all */ }
+	}
+	(text.match(JWT_RE) || []).forEach(t => add('JWT', t));
+	return out;
+}
+
+// Where a value can sit in a URL: path segments and query / fragment parts, whole or
+// after their name=, raw and percent-decoded
+function urlParts(url) {
+	const parts = new Set();
+	url.split(/[/?&#;,]/).forEach(piece => [piece, piece.slice(piece.indexOf('=') + 1)].forEach(part => {
+		parts.add(part);
+		try { parts.add(decodeURIComponent(part)); } catch (e) { /* keep raw */ }
+	}));
+	return parts;
+}
+
+// Entries are oldest first. Returns [{ id, code, severity, title, detail, host, entryIds }].
+function correlate(entries) {
+	const byId = new Map();
+	const add = (code, severity, key, host, title, detail, ids) => {
+		const id = code + ' ' + key;
+		const f = byId.get(id);
+		if (f) f.entryIds = Array.from(new Set(f.entryIds.concat(ids)));
+		else byId.set(id, { id, code, severity, title, detail, host, entryIds: Array.from(new Set(ids)) });
+	};
+	const groups = new Map(); // host + method + template -> entries
+	const byHost = new Map();
+	const parsed = new Map(); // entry -> URL
+	entries.forEach(e => {
+		let u;
+		try { u = new URL(e.url); } catch (err) { return; }
+		if (!/^https?:$/.test(u.protocol)) return;
+		parsed.set(e, u);
+		const key = u.host + ' ' + (e.method || 'GET').toUpperCase() + ' ' + templatePath(u.pathname).path;
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(e);
+		if (!byHost.has(u.host)) byHost.set(u.host, []);
+		byHost.get(u.host).push(e);
+	});
+
+	groups.forEach((group, key) => {
+		const [host, method, path] = key.split(' ');
+		const answered = group.filter(e => e.response);
+
+		// IDOR: an object id in the path or an id-like query param takes several values with 2xx answers
+		const values = new Map(); // param -> Set
+		const ok = answered.filter(e => e.response.statusCode >= 200 && e.response.statusCode < 300);
+		ok.forEach(e => {
+			const u = parsed.get(e);
+			const tpl = templatePath(u.pathname).path.split('/');
+			u.pathname.split('/').forEach((segment, i) => {
+				const name = /^\{(id\d*)\}$/.exec(tpl[i] || '');
+				if (name) { if (!values.has(name[1])) values.set(name[1], new Set()); values.get(name[1]).add(segment); }
+			});
+			u.searchParams.forEach((v, k) => {
+				if (ID_PARAM_RE.test(k) && segmentKind(v)) { if (!values.has(k)) values.set(k, new Set()); values.get(k).add(v); }
+			});
+		});
+		const varying = Array.from(values).filter(([, set]) => set.size >= 2);
+		if (varying.length) {
+			add('IDOR', 'medium', key, host, 'IDOR candidate: ' + method + ' ' + host + path,
+				varying.map(([name, set]) => name + ' took ' + set.size + ' values (' + Array.from(set).slice(0, 5).join(', ') + (set.size > 5 ? ', ...' : '') + ')').join('; ') + ' with 2xx responses',
+				ok.map(e => e.id));
+		}
+
+		// AUTHZ-DIFF: the same endpoint answers different identities with different statuses or sizes
+		const perIdentity = new Map();
+		answered.forEach(e => {
+			const id = identityOf(e);
+			if (!perIdentity.has(id)) perIdentity.set(id, []);
+			perIdentity.get(id).push(e);
+		});
+		if (perIdentity.size >= 2) {
+			const profiles = Array.from(perIdentity).map(([id, list]) => {
+				const sizes = list.map(responseSize).filter(s => s != null);
+				return { id, list, classes: new Set(list.map(e => Math.floor(e.response.statusCode / 100))), size: sizes.length ? median(sizes) : null };
+			});
+			const classes = new Set(profiles.flatMap(p => Array.from(p.classes)));
+			const sized = profiles.filter(p => p.size != null).map(p => p.size);
+			const big = sized.length >= 2 ? Math.max(...sized) : 0, small = sized.length >= 2 ? Math.min(...sized) : 0;
+			const statusDiff = classes.size > 1 && profiles.every(p => p.classes.size === 1);
+			const sizeDiff = sized.length >= 2 && big - small >= SIZE_MIN_DIFF && big >= small * SIZE_RATIO;
+			if (statusDiff || sizeDiff) {
+				add('AUTHZ-DIFF', 'medium', key, host, 'Different responses per user: ' + method + ' ' + host + path,
+					profiles.map(p => p.id + ': ' + Array.from(p.classes).map(c => c + 'xx').join('/') + (p.size != null ? ' ~' + p.size + ' B' : '')).join('; '),
+					answered.map(e => e.id));
+			}
+		}
+
+		// NO-RATE-LIMIT: many attempts on an auth endpoint within the window and never a 429
+		if (method === 'POST' && AUTH_PATH_RE.test(path) && !group.some(e => e.response?.statusCode === 429 || e.recent429)) {
+			let best = [];
+			for (let i = 0, j = 0; j < group.length; j++) {
+				while (group[j].timestamp - group[i].timestamp > AUTH_WINDOW_MS) i++;
+				if (j - i + 1 > best.length) best = group.slice(i, j + 1);
+			}
+			if (best.length >= AUTH_MIN_ATTEMPTS) {
+				add('NO-RATE-LIMIT', 'medium', key, host, 'No rate limiting: ' + method + ' ' + host + path,
+					best.length + ' attempts within ' + Math.round(AUTH_WINDOW_MS / 60000) + ' min and no 429', group.map(e => e.id));
+			}
+		}
+	});
+
+	// TOKEN-IN-URL: a sensitive value from one response shows up in a later request URL.
+	// Each URL part is looked up among the values seen so far.
+	const seen = new Map(); // value -> { name, entry }
+	entries.forEach(e => {
+		const u = parsed.get(e);
+		if (u && seen.size) {
+			urlParts(e.url).forEach(value => {
+				const src = seen.get(value);
+				if (src && src.entry !== e) {
+					add('TOKEN-IN-URL', 'high', src.entry.id + ' ' + src.name, u.host, 'Sensitive value in URL: ' + src.name,
+						'"' + src.name + '" (' + redactValue(value) + ') from ' + src.entry.method + ' ' + src.entry.url + ' is sent in the URL of later requests',
+						[src.entry.id, e.id]);
+				}
+			});
+		}
+		sensitiveValues(e).forEach(v => { if (!seen.has(v.value)) seen.set(v.value, { name: v.name, entry: e }); });
+	});
+
+	// ERROR-SPIKE: a burst of 5xx on a host, well above its error rate outside the burst
+	byHost.forEach((list, host) => {
+		const answered = list.filter(e => e.response);
+		const errors = answered.filter(e => e.response.statusCode >= 500);
+		for (let i = 0; i < errors.length;) {
+			let j = i;
+			while (j + 1 < errors.length && errors[j + 1].timestamp - errors[i].timestamp <= ERROR_SPIKE_WINDOW_MS) j++;
+			const burst = errors.slice(i, j + 1);
+			if (burst.length >= ERROR_SPIKE_MIN) {
+				const from = burst[0].timestamp, to = burst[burst.length - 1].timestamp;
+				const inside = answered.filter(e => e.timestamp >= from && e.timestamp <= to);
+				const outside = answered.filter(e => e.timestamp < from || e.timestamp > to);
+				const rate = burst.length / inside.length;
+				const baseline = outside.length ? outside.filter(e => e.response.statusCode >= 500).length / outside.length : 0;
+				if (rate >= 0.5 && baseline < rate / 2) {
+					add('ERROR-SPIKE', 'low', host + ' ' + from, host, 'Error spike on ' + host,
+						burst.length + ' of ' + inside.length + ' responses were 5xx in ' + Math.max(1, Math.round((to - from) / 1000)) + ' s (' + Math.round(baseline * 100) + '% otherwise)',
+						burst.map(e => e.id));
+					i = j + 1;
+					continue;
+				}
+			}
+			i++;
+		}
+	});
+
+	const order = SEVERITIES.slice().reverse();
+	return Array.from(byId.values()).sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || b.entryIds.length - a.entryIds.length);
+}
+
+// Correlate the newest `limit` entries of a session and bring each entry's `findings`
+// (and so its tags) up to date
+export async function runCorrelation(sessionId, limit = CORRELATE_MAX_ENTRIES) {
+	const entries = (await recentEntries(sessionId, limit)).reverse();
+	const findings = correlate(entries);
+	const codes = new Map(); // entry id -> Set of codes
+	findings.forEach(f => f.entryIds.forEach(id => {
+		if (!codes.has(id)) codes.set(id, new Set());
+		codes.get(id).add(f.code);
+	}));
+	const update = (e, next) => {
+		// The live copy is the one later events write, so update that one
+		const live = (sessionId === activeSessionId && store.find(x => x.id === e.id)) || e;
+		live.findings = next;
+		applyTags(live);
+		persist(live);
+	};
+	entries.forEach(e => {
+		const next = Array.from(codes.get(e.id) || []).sort();
+		if (next.join() !== (e.findings || []).join()) update(e, next);
+	});
+	// Entries that dropped out of the window keep no findings from earlier runs
+	if (entries.length >= limit) {
+		const from = entries[0].timestamp;
+		const prev = correlatedFrom.get(sessionId);
+		if (prev == null || prev < from) {
+			const stale = await entriesBefore(sessionId, from, { from: prev, filter: e => (e.findings || []).length > 0 });
+			stale.forEach(e => update(e, []));
+		}
+		correlatedFrom.set(sessionId, from);
+		saveState();
+	}
+	return findings;
+}
@@ -0,0 +1,167 @@
+import { classify } from './capture.js';
+import { dropHeld, intercept, onRequestPaused, releaseHeld } from './intercept.js';
+import { activeTabs, panelOpenFor, panelPorts } from './panels.js';
+import { startup } from './startup.js';
+import { store } from './storage.js';
+
+// --- Response body capture (chrome.debugger) --------------------------------
+// webRequest never exposes response bodies, so tabs with an open panel get the
+// DevTools protocol attached while at least one domain is opted in. Only text-like
+// responses from opted-in hosts (exact or subdomain) are fetched, capped at maxBytes,
+// and stored as entry.response.body = { text, truncated, mimeType, size } (size in bytes).
+export const BODY_TYPES_RE = /^(text\/|application\/(json|xml|javascript|x-javascript|ecmascript|graphql|x-www-form-urlencoded|[\w.-]+\+(json|xml)))/i;
+const DEFAULT_BODY_CAPTURE = { domains: [], maxBytes: 256 * 1024 };
+export let bodyCapture = Object.assign({}, DEFAULT_BODY_CAPTURE);
+export const debuggees = new Map(); // tabId -> { requests: Map(devtools requestId -> {url, method, mimeType}) }
+
+startup.push(chrome.storage.local.get(['bodyCapture']).then(res => {
+	if (res && res.bodyCapture) bodyCapture = Object.assign({}, DEFAULT_BODY_CAPTURE, res.bodyCapture);
+}));
+
+// domains: array or comma list; a leading *. is dropped
+export function setBodyCapture(def) {
+	const domains = (Array.isArray(def.domains) ? def.domains : String(def.domains || '').split(','))
+		.map(d => String(d).trim().toLowerCase().replace(/^\*\./, '')).filter(Boolean);
+	const maxBytes = Math.max(1024, parseInt(def.maxBytes, 10) || bodyCapture.maxBytes);
+	bodyCapture = { domains: Array.from(new Set(domains)), maxBytes };
+}
+
+export function hostMatches(host, domain) {
+	host = (host || '').replace(/:\d+$/, '');
+	return host === domain || host.endsWith('.' + domain);
+}
+
+function bodyCaptureWanted(url) {
+	try {
+		const host = new URL(url).host;
+		return bodyCapture.domains.some(d => hostMatches(host, d));
+	} catch (e) { return false; }
+}
+
+// Protocol domains each feature needs; the debugger stays attached while any is wanted
+function wantedDomains() {
+	return { Network: bodyCapture.domains.length > 0, Fetch: intercept.enabled };
+}
+
+function wantsDebugger(tabId) {
+	const domains = wantedDomains();
+	return (activeTabs.has(tabId) || panelOpenFor(tabId)) && (domains.Network || domains.Fetch);
+}
+
+// Every tab that has a panel or still has the debugger attached
+export function syncAllDebuggers() {
+	const tabs = new Set(activeTabs);
+	panelPorts.forEach(sub => { if (sub.tabId !== null) tabs.add(sub.tabId); });
+	debuggees.forEach((dbg, tabId) => tabs.add(tabId));
+	tabs.forEach(syncDebugger);
+}
+
+// Attach or detach so the tab matches wantsDebugger(), then enable/disable domains
+export function syncDebugger(tabId) {
+	if (wantsDebugger(tabId) && !debuggees.has(tabId)) {
+		debuggees.set(tabId, { requests: new Map(), domains: {}, attached: false });
+		chrome.debugger.attach({ tabId }, '1.3', () => {
+			if (chrome.runtime.lastError) {
+				console.error('[HTTP Analyzer] Debugger attach failed (tab ' + tabId + '):', chrome.runtime.lastError.message);
+				debuggees.delete(tabId);
+				return;
+			}
+			const dbg = debuggees.get(tabId);
+			if (!dbg) return;
+			dbg.attached = true;
+			syncDebuggerDomains(tabId);
+		});
+	} else if (!wantsDebugger(tabId) && debuggees.has(tabId)) {
+		debuggees.delete(tabId);
+		releaseHeld(tabId);
+		chrome.debugger.detach({ tabId }, () => { void chrome.runtime.lastError; });
+	} else {
+		syncDebuggerDomains(tabId);
+	}
+}
+
+function syncDebuggerDomains(tabId) {
+	const dbg = debuggees.get(tabId);
+	if (!dbg || !dbg.attached) return;
+	const wanted = wantedDomains();
+	Object.keys(wanted).forEach(domain => {
+		if (!!dbg.domains[domain] === wanted[domain]) return;
+		dbg.domains[domain] = wanted[domain];
+		if (domain === 'Fetch' && !wanted[domain]) releaseHeld(tabId);
+		const params = domain === 'Fetch' && wanted[domain] ? { patterns: [{ urlPattern: '*', requestStage: 'Request' }] } : {};
+		chrome.debugger.sendCommand({ tabId }, domain + (wanted[domain] ? '.enable' : '.disable'), params, () => {
+			if (chrome.runtime.lastError) console.error('[HTTP Analyzer] ' + domain + ' toggle failed:', chrome.runtime.lastError.message);
+		});
+	});
+}
+
+function decodeBase64(b64) {
+	const bin = atob(b64);
+	const bytes = new Uint8Array(bin.length);
+	for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+	return bytes;
+}
+
+export function decodeBase64Text(b64) {
+	return new TextDecoder('utf-8').decode(decodeBase64(b64));
+}
+
+// maxBytes counts UTF-8 bytes; a character cut in half at the limit is dropped
+function capBody(result, mimeType) {
+	const bytes = result.base64Encoded ? decodeBase64(result.body) : new TextEncoder().encode(result.body);
+	const truncated = bytes.length > bodyCapture.maxBytes;
+	let text = new TextDecoder('utf-8').decode(truncated ? bytes.subarray(0, bodyCapture.maxBytes) : bytes);
+	if (truncated) text = text.replace(/\uFFFD$/, '');
+	return { text, truncated, mimeType, size: bytes.length };
+}
+
+// The DevTools requestId differs from the webRequest one, so match the oldest
+// recent entry with the same method + URL that has a response but no body yet.
+function attachResponseBody(info, body, retried) {
+	const cutoff = Date.now() - 5 * 60 * 1000;
+	let entry = null;
+	for (let i = store.length - 1; i >= 0; i--) {
+		const e = store[i];
+		if (e.url === info.url && e.method === info.method && e.response && !e.response.body && e.timestamp > cutoff) { entry = e; break; }
+	}
+	if (!entry) {
+		// webRequest's onResponseStarted may not have been delivered yet
+		if (!retried) setTimeout(() => attachResponseBody(info, body, true), 500);
+		return;
+	}
+	entry.response.body = body;
+	classify(entry);
+}
+
+chrome.debugger.onEvent.addListener((source, method, params) => {
+	const dbg = debuggees.get(source.tabId);
+	if (!dbg) return;
+	if (method === 'Fetch.requestPaused') {
+		onRequestPaused(source.tabId, params);
+	} else if (method === 'Network.requestWillBeSent') {
+		dbg.requests.set(params.requestId, { url: params.request.url, method: params.request.method });
+	} else if (method === 'Network.responseReceived') {
+		const info = dbg.requests.get(params.requestId);
+		const mimeType = params.response.mimeType || '';
+		if (info && BODY_TYPES_RE.test(mimeType) && bodyCaptureWanted(info.url)) info.mimeType = mimeType;
+		else dbg.requests.delete(params.requestId);
+	} else if (method === 'Network.loadingFinished') {
+		const info = dbg.requests.get(params.requestId);
+		dbg.requests.delete(params.requestId);
+		if (!info || !info.mimeType) return;
+		chrome.debugger.sendCommand(source, 'Network.getResponseBody', { requestId: params.requestId }, result => {
+			if (chrome.runtime.lastError || !result) return;
+			let body;
+			try { body = capBody(result, info.mimeType); } catch (e) { return; }
+			attachResponseBody(info, body);
+		});
+	} else if (method === 'Network.loadingFailed') {
+		dbg.requests.delete(params.requestId);
+	}
+});
+
+// User dismissed the "is debugging this browser" bar, or the tab went away
+chrome.debugger.onDetach.addListener(source => {
+	debuggees.delete(source.tabId);
+	dropHeld(source.tabId);
+});
@@ -0,0 +1,188 @@
+import { applyTags } from './audit.js';
+import { scheduleCorrelation } from './correlation.js';
+import { BODY_TYPES_RE, decodeBase64Text } from './debugger.js';
+import { decodeRequestBody } from './request-body.js';
+import { getHeader } from './rules.js';
+import { activeSessionId, flush, persist, ready } from './storage.js';
+
+// --- HAR 1.2 export / import ------------------------------------------------
+// Spec: http://www.softwareishard.com/blog/har-12-spec/
+// Our tags/score travel as the custom fields _tags/_score so a re-import keeps them visible;
+// stars and their notes travel as _starred/_note and are restored on import. Captured
+// response bodies travel as response.content.text.
+function parseStatusLine(line) {
+	const m = /^(\S+)\s+(\d{3})\s*(.*)$/.exec(line || '');
+	return m ? { httpVersion: m[1], statusText: m[3] } : { httpVersion: 'HTTP/1.1', statusText: '' };
+}
+
+function harQueryString(url) {
+	try { return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value })); }
+	catch (e) { return []; }
+}
+
+function harCookies(headers, headerName) {
+	const out = [];
+	(headers || []).filter(h => h.name?.toLowerCase() === headerName).forEach(h => {
+		if (headerName === 'cookie') {
+			(h.value || '').split(';').forEach(pair => {
+				const i = pair.indexOf('=');
+				if (i > 0) out.push({ name: pair.slice(0, i).trim(), value: pair.slice(i + 1).trim() });
+			});
+		} else {
+			const first = (h.value || '').split(';')[0];
+			const i = first.indexOf('=');
+			if (i > 0) out.push({ name: first.slice(0, i).trim(), value: first.slice(i + 1).trim() });
+		}
+	});
+	return out;
+}
+
+// Bodies captured over the debugger are stored decoded, so they go out as plain text;
+// a cut-off body is marked with _truncated
+function harContent(res) {
+	const content = { size: parseInt(getHeader(res?.responseHeaders, 'Content-Length'), 10) || 0, mimeType: getHeader(res?.responseHeaders, 'Content-Type') };
+	const body = res?.body;
+	if (body) {
+		content.size = body.size;
+		content.text = body.text;
+		if (body.truncated) content._truncated = true;
+	}
+	return content;
+}
+
+function toHarEntry(rec) {
+	const res = rec.response;
+	const status = parseStatusLine(res?.statusLine);
+	const decoded = decodeRequestBody(rec.requestBody);
+	const wait = res ? Math.max(0, res.timestamp - rec.timestamp) : 0;
+	const receive = res?.completedAt ? Math.max(0, res.completedAt - res.timestamp) : 0;
+	const request = {
+		method: rec.method || 'GET',
+		url: rec.url,
+		httpVersion: status.httpVersion,
+		cookies: harCookies(rec.requestHeaders, 'cookie'),
+		headers: (rec.requestHeaders || []).map(h => ({ name: h.name, value: h.value || '' })),
+		queryString: harQueryString(rec.url),
+		headersSize: -1,
+		bodySize: decoded ? new TextEncoder().encode(decoded.text).length : 0
+	};
+	if (decoded) {
+		request.postData = { mimeType: getHeader(rec.requestHeaders, 'Content-Type') || decoded.mimeType, text: decoded.text };
+		if (decoded.params) request.postData.params = decoded.params;
+	}
+	return {
+		startedDateTime: new Date(rec.timestamp).toISOString(),
+		time: wait + receive,
+		request,
+		response: {
+			status: res?.statusCode || 0,
+			statusText: status.statusText,
+			httpVersion: status.httpVersion,
+			cookies: harCookies(res?.responseHeaders, 'set-cookie'),
+			headers: (res?.responseHeaders || []).map(h => ({ name: h.name, value: h.value || '' })),
+			content: harContent(res),
+			redirectURL: getHeader(res?.responseHeaders, 'Location'),
+			headersSize: -1,
+			bodySize: -1
+		},
+		cache: {},
+		timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait, receive, ssl: -1 },
+		_tags: rec.tags || [],
+		_score: rec.score || 0,
+		_starred: !!rec.starred,
+		_note: rec.note || undefined
+	};
+}
+
+export function toHar(entries) {
+	return {
+		log: {
+			version: '1.2',
+			creator: { name: 'HTTP Analyzer', version: chrome.runtime.getManifest().version },
+			pages: [],
+			// HAR entries are chronological; the store is newest-first
+			entries: entries.slice().reverse().map(toHarEntry)
+		}
+	};
+}
+
+// content.text as a captured body; base64 content is kept only when it is text
+function harBody(content) {
+	if (!content || typeof content.text !== 'string') return undefined;
+	const mimeType = (content.mimeType || '').split(';')[0].trim();
+	let text = content.text;
+	if (content.encoding === 'base64') {
+		if (!BODY_TYPES_RE.test(mimeType)) return undefined;
+		try { text = decodeBase64Text(text); } catch (e) { return undefined; }
+	}
+	const size = new TextEncoder().encode(text).length;
+	return { text, truncated: !!content._truncated, mimeType, size: Math.max(size, content.size || 0) };
+}
+
+function fromHarEntry(e, id) {
+	const req = e.request || {}, res = e.response || {}, t = e.timings || {};
+	const started = Date.parse(e.startedDateTime) || Date.now();
+	let requestBody = null;
+	if (req.postData) {
+		if (Array.isArray(req.postData.params) && req.postData.params.length) {
+			const formData = {};
+			req.postData.params.forEach(p => { (formData[p.name] = formData[p.name] || []).push(p.value || ''); });
+			requestBody = { formData };
+		} else if (req.postData.text) {
+			requestBody = { raw: [{ bytes: new TextEncoder().encode(req.postData.text).buffer }] };
+		}
+	}
+	const receive = Math.max(0, t.receive || 0);
+	const rec = {
+		id,
+		method: req.method || 'GET',
+		url: req.url || '',
+		host: (()=>{try{return new URL(req.url).host;}catch(e){return ''}})(),
+		timestamp: started,
+		requestHeaders: (req.headers || []).map(h => ({ name: h.name, value: h.value })),
+		requestBody,
+		response: res.status ? {
+			statusCode: res.status,
+			statusLine: (res.httpVersion || 'HTTP/1.1') + ' ' + res.status + (res.statusText ? ' ' + res.statusText : ''),
+			responseHeaders: (res.headers || []).map(h => ({ name: h.name, value: h.value })),
+			timestamp: started + Math.max(0, (e.time || 0) - receive),
+			completedAt: started + Math.max(0, e.time || 0),
+			fromCache: false
+		} : null,
+		imported: true,
+		starred: !!e._starred,
+		note: typeof e._note === 'string' ? e._note : '',
+		tags: [],
+		score: 0
+	};
+	const body = rec.response && harBody(res.content);
+	if (body) rec.response.body = body;
+	// Re-triage with the current RULES rather than trusting _tags/_score from the file
+	applyTags(rec);
+	return rec;
+}
+
+// Imports into the active session. Resolves with the number of imported entries,
+// or rejects on a non-HAR payload.
+export async function importHar(har) {
+	if (!har || !har.log || !Array.isArray(har.log.entries)) throw new Error('Not a HAR file (missing log.entries)');
+	await ready;
+	// Ids are unique per import, so importing the same file twice adds its entries again
+	// instead of overwriting entries the session's count and size already include
+	const batch = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+	const imported = har.log.entries.map((e, i) => fromHarEntry(e, 'har-' + batch + '-' + i));
+	imported.forEach(rec => { rec.sessionId = activeSessionId; persist(rec); });
+	await flush();
+	scheduleCorrelation();
+	return imported.length;
+}
+
+// Files go back to the panel in the response (as { filename, type, text }) and the panel
+// saves them: service workers have no URL.createObjectURL, and data: URLs stop at 2 MB
+export function textFile(text, filename, type) {
+	return { filename, type, text };
+}
+
+export function jsonFile(obj, filename) {
+	return textFile(JSON.stringify(obj, null, 2), filename, 'application/json');
+}
@@ -0,0 +1,225 @@
+import { computeTagsAndScore } from './audit.js';
+import { hostMatches, syncAllDebuggers } from './debugger.js';
+import { schedulePush } from './panels.js';
+import { parseHeaderLines } from './repeater.js';
+import { inScope, scopeMatchers } from './scope.js';
+import { startup } from './startup.js';
+import { saveState } from './worker.js';
+
+// --- Intercept and match-and-replace ---------------------------------------------
+// MV3 has no blocking webRequest (and it had to answer synchronously anyway), so
+// requests are held with the DevTools Fetch domain on tabs that have a panel open. A held request matches
+// every non-empty condition (host: domains incl. subdomains, path: regex, method and
+// tag: comma lists; tags come from running the rules on the request as it stands) and
+// is forwarded unchanged once timeoutMs passes without an answer. Static resources
+// (images, fonts, styles, media) are never held unless skipStatic is off.
+const STATIC_RESOURCE_TYPES = ['Image', 'Font', 'Stylesheet', 'Media'];
+const DEFAULT_INTERCEPT = { enabled: false, match: { host: '', path: '', method: '', tag: '' }, timeoutMs: 30 * 1000, skipStatic: true };
+export let intercept = JSON.parse(JSON.stringify(DEFAULT_INTERCEPT));
+let interceptTest = () => true;
+export const held = new Map(); // tabId + ':' + Fetch requestId -> held request
+
+// Match-and-replace rules: { id, enabled, type: 'request' | 'response', match, replace }.
+// They run as declarativeNetRequest session rules, which set or remove whole headers:
+// - empty match: `replace` ("Name: value") is set on every request / response
+// - match `^Name` or `^Name:.*`: the header is removed, and `replace`, if given, is set
+// A regex that rewrites part of a value has no DNR equivalent and is rejected.
+const REPLACE_MATCH_RE = /^\^?([A-Za-z0-9_]+(?:(?:-|\\-)[A-Za-z0-9_]+)*)(?::(?:\.\*|\.\+)?)?\$?$/;
+const DNR_FIRST_RULE_ID = 100;
+const DNR_RESOURCE_TYPES = ['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object', 'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'other'];
+export let replaceRules = [];
+let compiledReplaceRules = [];
+let dnrSync = Promise.resolve();
+
+function compileIntercept(def) {
+	const m = Object.assign({}, DEFAULT_INTERCEPT.match, def.match);
+	const list = v => String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+	const hosts = list(m.host).map(d => d.toLowerCase().replace(/^\*\./, ''));
+	const methods = list(m.method).map(x => x.toUpperCase());
+	const tags = list(m.tag).map(x => x.toUpperCase());
+	let pathRe = null;
+	if (m.path) {
+		try { pathRe = new RegExp(m.path, 'i'); } catch (e) { throw new Error('Invalid path regex - ' + e.message); }
+	}
+	// decorate() gives the request's tags, computed at most once per request
+	const test = (rec, decorate) => {
+		let u;
+		try { u = new URL(rec.url); } catch (e) { return false; }
+		if (hosts.length && !hosts.some(d => hostMatches(u.host, d))) return false;
+		if (pathRe && !pathRe.test(u.pathname)) return false;
+		if (methods.length && !methods.includes(rec.method.toUpperCase())) return false;
+		if (tags.length && !decorate().tags.some(t => tags.includes(t.toUpperCase()))) return false;
+		return true;
+	};
+	const next = {
+		enabled: !!def.enabled,
+		match: { host: hosts.join(', '), path: m.path || '', method: methods.join(', '), tag: tags.join(', ') },
+		timeoutMs: Math.min(10 * 60 * 1000, Math.max(1000, parseInt(def.timeoutMs, 10) || DEFAULT_INTERCEPT.timeoutMs)),
+		skipStatic: def.skipStatic !== false
+	};
+	return { intercept: next, test };
+}
+
+export function setIntercept(def) {
+	const compiled = compileIntercept(def);
+	intercept = compiled.intercept;
+	interceptTest = compiled.test;
+	saveState();
+	syncAllDebuggers();
+}
+
+// The DNR header operations for one rule
+function replaceRuleHeaders(match, replace) {
+	const added = replace ? parseHeaderLines(replace)[0] : null;
+	if (replace && !added) throw new Error('Replace must be empty or look like "Name: value"');
+	const set = added ? [{ header: added.name, operation: 'set', value: added.value }] : [];
+	if (!match) return set;
+	const m = REPLACE_MATCH_RE.exec(match);
+	if (!m) throw new Error('Match must name a whole header, like ^Content-Security-Policy:.* (partial value rewrites are not supported)');
+	const name = m[1].replace(/\\-/g, '-');
+	if (added && added.name.toLowerCase() === name.toLowerCase()) return set;
+	return [{ header: name, operation: 'remove' }].concat(set);
+}
+
+function compileReplaceRule(def) {
+	const type = def.type === 'response' ? 'response' : 'request';
+	const match = String(def.match || '').trim();
+	const replace = String(def.replace || '').trim();
+	if (!match && !replace) throw new Error('Rule needs a match or a replacement');
+	if (!match && !/^[^:\s]+:/.test(replace)) throw new Error('A rule without match adds a header, so replace must look like "Name: value"');
+	const headers = replaceRuleHeaders(match, replace);
+	return { rule: { id: String(def.id || ('mr-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6))), enabled: def.enabled !== false, type, match, replace, comment: String(def.comment || '') }, headers };
+}
+
+export function setReplaceRules(defs) {
+	const compiled = (defs || []).map(compileReplaceRule);
+	replaceRules = compiled.map(c => c.rule);
+	compiledReplaceRules = compiled.filter(c => c.rule.enabled);
+}
+
+// Session rules for the enabled replace rules, limited to in-scope traffic from pages:
+// one copy per include pattern, and a higher-priority allow rule per exclude pattern.
+function replaceDnrRules() {
+	if (!compiledReplaceRules.length) return [];
+	const rules = [];
+	let id = DNR_FIRST_RULE_ID;
+	const condition = regexFilter => Object.assign({ excludedInitiatorDomains: [chrome.runtime.id], resourceTypes: DNR_RESOURCE_TYPES },
+		regexFilter ? { regexFilter, isUrlFilterCaseSensitive: false } : {});
+	const includes = scopeMatchers.include.length ? scopeMatchers.include.map(m => m.urlRegex) : [null];
+	compiledReplaceRules.forEach(({ rule, headers }) => {
+		const action = { type: 'modifyHeaders', [rule.type === 'request' ? 'requestHeaders' : 'responseHeaders']: headers };
+		includes.forEach(regexFilter => rules.push({ id: id++, priority: 1, action, condition: condition(regexFilter) }));
+	});
+	scopeMatchers.exclude.forEach(m => rules.push({ id: id++, priority: 2, action: { type: 'allow' }, condition: condition(m.urlRegex) }));
+	return rules;
+}
+
+// Swap the session rules for the current replace rules and scope (the repeat rule stays)
+export function syncReplaceRules() {
+	const run = dnrSync.then(async () => {
+		const current = await chrome.declarativeNetRequest.getSessionRules();
+		await chrome.declarativeNetRequest.updateSessionRules({
+			removeRuleIds: current.map(r => r.id).filter(id => id >= DNR_FIRST_RULE_ID),
+			addRules: replaceDnrRules()
+		});
+	});
+	dnrSync = run.catch(() => {});
+	return run;
+}
+
+startup.push(chrome.storage.local.get(['intercept', 'replaceRules']).then(res => {
+	// Conditions are kept; on/off is worker state (restoreState), so a new browser session starts with it off
+	try { if (res?.intercept) setIntercept(Object.assign({}, res.intercept, { enabled: false })); } catch (e) { /* keep defaults */ }
+	const usable = def => {
+		try { compileReplaceRule(def); return true; }
+		catch (e) { console.error('[HTTP Analyzer] Skipping replace rule ' + def.id + ':', e.message); return false; }
+	};
+	if (Array.isArray(res?.replaceRules)) setReplaceRules(res.replaceRules.filter(usable));
+}));
+
+function encodeBase64Text(text) {
+	const bytes = new TextEncoder().encode(text);
+	let bin = '';
+	for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+	return btoa(bin);
+}
+
+export function onRequestPaused(tabId, params) {
+	const source = { tabId };
+	const req = params.request;
+	const headers = Object.entries(req.headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+	const rec = {
+		url: req.url, method: req.method, requestHeaders: headers, response: null,
+		requestBody: req.postData != null ? { raw: [{ bytes: new TextEncoder().encode(req.postData).buffer }] } : null
+	};
+	// The held request is not an entry yet (webRequest captures it), so its tags are a preview
+	let deco = null;
+	const decorate = () => deco || (deco = computeTagsAndScore(rec, { preview: true }));
+	const skip = !intercept.enabled || (intercept.skipStatic && STATIC_RESOURCE_TYPES.includes(params.resourceType)) ||
+		/^(chrome|chrome-extension|data|blob):/.test(req.url) || !inScope(req.url) || !interceptTest(rec, decorate);
+	if (skip) {
+		chrome.debugger.sendCommand(source, 'Fetch.continueRequest', { requestId: params.requestId }, () => { void chrome.runtime.lastError; });
+		return;
+	}
+	const { tags, score } = decorate();
+	const item = {
+		id: tabId + ':' + params.requestId,
+		tabId,
+		requestId: params.requestId,
+		url: req.url,
+		method: req.method,
+		headers,
+		body: req.postData != null ? req.postData : null,
+		bodyMissing: !!req.hasPostData && req.postData == null,
+		resourceType: params.resourceType || '',
+		tags,
+		score,
+		heldAt: Date.now(),
+		expiresAt: Date.now() + intercept.timeoutMs
+	};
+	item.timer = setTimeout(() => resolveHeld(item.id, { decision: 'forward' }), intercept.timeoutMs);
+	held.set(item.id, item);
+	schedulePush();
+}
+
+// decision: 'forward' (optionally with edited url / method / headers / body) or 'drop'.
+// A changed url is a transparent redirect: the page still sees the original URL.
+export function resolveHeld(id, change) {
+	const item = held.get(id);
+	if (!item) return false;
+	held.delete(id);
+	clearTimeout(item.timer);
+	schedulePush();
+	const source = { tabId: item.tabId };
+	const done = () => { void chrome.runtime.lastError; };
+	if (change.decision === 'drop') {
+		chrome.debugger.sendCommand(source, 'Fetch.failRequest', { requestId: item.requestId, errorReason: 'BlockedByClient' }, done);
+		return true;
+	}
+	const params = { requestId: item.requestId };
+	if (change.url && change.url !== item.url) params.url = change.url;
+	if (change.method && change.method.toUpperCase() !== item.method) params.method = change.method.toUpperCase();
+	if (Array.isArray(change.headers) && JSON.stringify(change.headers) !== JSON.stringify(item.headers)) params.headers = change.headers.map(h => ({ name: String(h.name), value: String(h.value) }));
+	if (typeof change.body === 'string' && change.body !== (item.body || '')) params.postData = encodeBase64Text(change.body);
+	chrome.debugger.sendCommand(source, 'Fetch.continueRequest', params, done);
+	return true;
+}
+
+// Forward everything held for a tab (intercept switched off / debugger going away)
+export function releaseHeld(tabId) {
+	Array.from(held.values()).filter(item => item.tabId === tabId).forEach(item => resolveHeld(item.id, { decision: 'forward' }));
+}
+
+// Tab closed or debugger detached: Chrome has already let the requests go
+export function dropHeld(tabId) {
+	held.forEach((item, id) => {
+		if (item.tabId !== tabId) return;
+		clearTimeout(item.timer);
+		held.delete(id);
+	});
+}
+
+export function heldView(item) {
+	return { id: item.id, tabId: item.tabId, url: item.url, method: item.method, headers: item.headers, body: item.body, bodyMissing: item.bodyMissing,
+		resourceType: item.resourceType, tags: item.tags, score: item.score, heldAt: item.heldAt, expiresAt: item.expiresAt };
+}
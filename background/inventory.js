@@ -0,0 +1,141 @@
+import { decodeRequestBody } from './request-body.js';
+import { getHeader } from './rules.js';
+import { forEachEntry } from './storage.js';
+
+// --- Endpoint inventory --------------------------------------------------------
+// Groups a session's requests by host + method + path template, where numeric, UUID
+// and hex-hash segments become {id}, {id2}, ... The OpenAPI export is one skeleton per host.
+const UUID_SEGMENT_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HASH_SEGMENT_RE = /^(?=.*\d)[0-9a-f]{16,}$/i;
+
+export function segmentKind(segment) {
+	if (/^\d+$/.test(segment)) return 'integer';
+	if (UUID_SEGMENT_RE.test(segment)) return 'uuid';
+	if (HASH_SEGMENT_RE.test(segment)) return 'hash';
+	return null;
+}
+
+// '/api/users/123/files/9f86d081884c7d65' -> { path: '/api/users/{id}/files/{id2}', params: [...] }
+export function templatePath(pathname) {
+	const params = [];
+	const path = String(pathname || '/').split('/').map(segment => {
+		let decoded = segment;
+		try { decoded = decodeURIComponent(segment); } catch (e) { /* keep raw */ }
+		const kind = segmentKind(decoded);
+		if (!kind) return segment;
+		const name = params.length ? 'id' + (params.length + 1) : 'id';
+		params.push({ name, kind });
+		return '{' + name + '}';
+	}).join('/');
+	return { path, params };
+}
+
+// Top-level (and one level nested, dotted) keys of a JSON or form body
+function bodyKeys(entry) {
+	const body = decodeRequestBody(entry.requestBody);
+	if (!body) return [];
+	if (body.params) return body.params.map(p => p.name);
+	const text = (body.text || '').trim();
+	if (/^[[{]/.test(text)) {
+		try {
+			let json = JSON.parse(text);
+			if (Array.isArray(json)) json = json[0];
+			if (!json || typeof json !== 'object') return [];
+			return Object.keys(json).flatMap(k => (json[k] && typeof json[k] === 'object' && !Array.isArray(json[k]))
+				? [k].concat(Object.keys(json[k]).map(sub => k + '.' + sub)) : [k]);
+		} catch (e) { return []; }
+	}
+	if (/^[^=&\s]+=/.test(text)) return Array.from(new URLSearchParams(text).keys());
+	return [];
+}
+
+function mediaType(value) {
+	return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+export async function buildInventory(sessionId) {
+	const groups = new Map();
+	await forEachEntry(sessionId, e => {
+		let u;
+		try { u = new URL(e.url); } catch (err) { return; }
+		if (!/^https?:$/.test(u.protocol)) return;
+		const tpl = templatePath(u.pathname);
+		const method = (e.method || 'GET').toUpperCase();
+		const key = u.host + ' ' + method + ' ' + tpl.path;
+		let g = groups.get(key);
+		if (!g) {
+			g = { host: u.host, scheme: u.protocol.slice(0, -1), method, path: tpl.path, pathParams: tpl.params, count: 0, maxScore: 0,
+				queryParams: new Set(), bodyKeys: new Set(), statuses: new Set(), requestTypes: new Set(), responseTypes: new Set(), tags: new Set(),
+				example: { id: e.id, url: e.url }, lastSeen: 0 };
+			groups.set(key, g);
+		}
+		g.count++;
+		g.maxScore = Math.max(g.maxScore, e.score || 0);
+		u.searchParams.forEach((v, name) => g.queryParams.add(name));
+		bodyKeys(e).forEach(k => g.bodyKeys.add(k));
+		const reqType = mediaType(getHeader(e.requestHeaders, 'Content-Type') || decodeRequestBody(e.requestBody)?.mimeType);
+		if (reqType) g.requestTypes.add(reqType);
+		if (e.response) {
+			g.statuses.add(e.response.statusCode);
+			const resType = mediaType(getHeader(e.response.responseHeaders, 'Content-Type'));
+			if (resType) g.responseTypes.add(resType);
+		}
+		(e.tags || []).forEach(t => g.tags.add(t));
+		if ((e.timestamp || 0) >= g.lastSeen) { g.lastSeen = e.timestamp || 0; g.example = { id: e.id, url: e.url }; }
+	});
+	const hosts = new Map();
+	groups.forEach(g => {
+		const endpoint = Object.assign({}, g, {
+			queryParams: Array.from(g.queryParams).sort(),
+			bodyKeys: Array.from(g.bodyKeys).sort(),
+			statuses: Array.from(g.statuses).sort((a, b) => a - b),
+			requestTypes: Array.from(g.requestTypes).sort(),
+			responseTypes: Array.from(g.responseTypes).sort(),
+			tags: Array.from(g.tags).sort()
+		});
+		if (!hosts.has(g.host)) hosts.set(g.host, { host: g.host, scheme: g.scheme, endpoints: [] });
+		hosts.get(g.host).endpoints.push(endpoint);
+	});
+	return Array.from(hosts.values())
+		.map(h => Object.assign(h, { endpoints: h.endpoints.sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method)) }))
+		.sort((a, b) => a.host.localeCompare(b.host));
+}
+
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const PATH_PARAM_SCHEMA = { integer: { type: 'integer' }, uuid: { type: 'string', format: 'uuid' }, hash: { type: 'string' } };
+
+// OpenAPI 3.0 skeleton for one inventory host
+export function toOpenApi(host) {
+	const paths = {};
+	host.endpoints.forEach(ep => {
+		const method = ep.method.toLowerCase();
+		if (!OPENAPI_METHODS.includes(method)) return;
+		const op = {
+			summary: ep.method + ' ' + ep.path,
+			'x-observed-count': ep.count,
+			'x-max-score': ep.maxScore,
+			parameters: ep.pathParams.map(p => ({ name: p.name, in: 'path', required: true, schema: PATH_PARAM_SCHEMA[p.kind] }))
+				.concat(ep.queryParams.map(name => ({ name, in: 'query', schema: { type: 'string' } }))),
+			responses: {}
+		};
+		if (ep.tags.length) op['x-tags'] = ep.tags;
+		if (ep.bodyKeys.length || ep.requestTypes.length) {
+			const properties = {};
+			ep.bodyKeys.filter(k => !k.includes('.')).forEach(k => { properties[k] = {}; });
+			const types = ep.requestTypes.length ? ep.requestTypes : ['application/octet-stream'];
+			op.requestBody = { content: Object.fromEntries(types.map(t => [t, { schema: { type: 'object', properties } }])) };
+		}
+		const content = ep.responseTypes.length ? Object.fromEntries(ep.responseTypes.map(t => [t, {}])) : undefined;
+		(ep.statuses.length ? ep.statuses : ['default']).forEach(status => {
+			op.responses[String(status)] = Object.assign({ description: status === 'default' ? 'No response observed' : 'Observed ' + status }, content ? { content } : {});
+		});
+		if (!op.parameters.length) delete op.parameters;
+		(paths[ep.path] = paths[ep.path] || {})[method] = op;
+	});
+	return {
+		openapi: '3.0.3',
+		info: { title: host.host, version: '0.0.0', description: 'Skeleton generated by HTTP Analyzer from observed traffic.' },
+		servers: [{ url: host.scheme + '://' + host.host }],
+		paths
+	};
+}
@@ -0,0 +1,105 @@
+import { decodeBase64Text } from './debugger.js';
+import { decodeRequestBody } from './request-body.js';
+import { saveState } from './worker.js';
+
+// --- JWT / session token analysis ---------------------------------------------
+// Finds JWTs in request headers, cookies, query, body and in the response, decodes
+// header + claims and records weaknesses as issue labels that the JWT_* rules tag.
+export const JWT_RE = /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g;
+const JWT_MAX_PER_ENTRY = 10;
+const JWT_MAX_LIFETIME_S = 30 * 24 * 3600; // exp further than this from iat (or send time) is "far-future"
+const JWT_TRACK_MAX = 500;
+export const jwtHosts = new Map(); // token -> Set of hosts it was sent to (oldest tokens evicted first)
+let jwtNewlyReused = [];    // tokens that just reached a second host; drained by classify()
+
+export function jwtIssue(label) {
+	return (r) => r.jwts.some(j => j.issues.includes(label));
+}
+
+function base64UrlDecode(s) {
+	s = s.replace(/-/g, '+').replace(/_/g, '/');
+	while (s.length % 4) s += '=';
+	return decodeBase64Text(s);
+}
+
+function decodeJwt(token) {
+	const parts = token.split('.');
+	try {
+		const header = JSON.parse(base64UrlDecode(parts[0]));
+		const claims = JSON.parse(base64UrlDecode(parts[1]));
+		if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object') return null;
+		return { header, claims };
+	} catch (e) { return null; }
+}
+
+// token -> list of places it was seen, e.g. 'header:Authorization', 'cookie:sid', 'response-body'
+function findJwts(rec) {
+	const found = new Map();
+	const scan = (text, source) => {
+		(String(text || '').match(JWT_RE) || []).forEach(t => {
+			if (!found.has(t)) found.set(t, []);
+			if (!found.get(t).includes(source)) found.get(t).push(source);
+		});
+	};
+	(rec.requestHeaders || []).forEach(h => {
+		if (h.name?.toLowerCase() === 'cookie') {
+			(h.value || '').split(';').forEach(c => { const i = c.indexOf('='); if (i > 0) scan(c.slice(i + 1), 'cookie:' + c.slice(0, i).trim()); });
+		} else scan(h.value, 'header:' + h.name);
+	});
+	try { scan(new URL(rec.url).search, 'query'); } catch (e) { /* not a URL */ }
+	scan(decodeRequestBody(rec.requestBody)?.text, 'body');
+	(rec.response?.responseHeaders || []).forEach(h => scan(h.value, 'response-header:' + h.name));
+	scan(rec.response?.body?.text, 'response-body');
+	return found;
+}
+
+// Note: also records which hosts each sent token went to, for the reuse check, unless
+// `preview` is set (requests that are not captured entries, e.g. held by intercept)
+export function analyzeJwts(rec, { preview = false } = {}) {
+	const out = [];
+	const host = rec.host || (()=>{try{return new URL(rec.url).host;}catch(e){return ''}})();
+	const sentAt = Math.floor((rec.timestamp || Date.now()) / 1000);
+	const status = rec.response?.statusCode || 0;
+	for (const [token, sources] of findJwts(rec)) {
+		if (out.length >= JWT_MAX_PER_ENTRY) break;
+		const decoded = decodeJwt(token);
+		if (!decoded) continue;
+		const { header, claims } = decoded;
+		const sent = sources.some(src => !src.startsWith('response'));
+		const alg = String(header.alg || '');
+		const issues = [];
+		if (alg.toLowerCase() === 'none') issues.push('JWT-NONE');
+		if (alg.toUpperCase() === 'HS256') issues.push('JWT-HS256');
+		if (typeof claims.exp !== 'number') issues.push('JWT-NO-EXP');
+		else {
+			if (claims.exp - (typeof claims.iat === 'number' ? claims.iat : sentAt) > JWT_MAX_LIFETIME_S) issues.push('JWT-LONG-EXP');
+			if (sent && claims.exp < sentAt && status >= 200 && status < 300) issues.push('JWT-EXPIRED-OK');
+		}
+		if (header.kid != null) issues.push('JWT-KID');
+		if (header.jku || header.x5u || header.jwk) issues.push('JWT-JKU');
+		let hosts = [];
+		if (sent && host && preview) {
+			hosts = Array.from(new Set(jwtHosts.get(token)).add(host));
+			if (hosts.length > 1) issues.push('JWT-REUSED');
+		} else if (sent && host) {
+			let set = jwtHosts.get(token);
+			if (!set) {
+				set = new Set();
+				jwtHosts.set(token, set);
+				if (jwtHosts.size > JWT_TRACK_MAX) jwtHosts.delete(jwtHosts.keys().next().value);
+			}
+			if (!set.has(host)) { set.add(host); if (set.size === 2) jwtNewlyReused.push(token); saveState(); }
+			hosts = Array.from(set);
+			if (set.size > 1) issues.push('JWT-REUSED');
+		}
+		out.push({ token, sources, header, claims, issues, hosts });
+	}
+	return out;
+}
+
+// Tokens that reached a second host since the last call
+export function takeNewlyReused() {
+	const tokens = jwtNewlyReused;
+	jwtNewlyReused = [];
+	return tokens;
+}
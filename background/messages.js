@@ -0,0 +1,222 @@
+import { runCorrelation } from './correlation.js';
+import { bodyCapture, setBodyCapture, syncAllDebuggers } from './debugger.js';
+import { importHar, jsonFile, textFile, toHar } from './har.js';
+import { held, heldView, intercept, replaceRules, resolveHeld, setIntercept, setReplaceRules, syncReplaceRules } from './intercept.js';
+import { buildInventory, toOpenApi } from './inventory.js';
+import { activePanelPosition, claimFrameKey, filterDomain, panelTabId, registerFrameKey, resetPorts, setFilterDomain, viewFilter } from './panels.js';
+import { SORTS, deleteFilter, saveFilter, savedFilters } from './query.js';
+import { parseHeaderLines, repeatComparison, sendRepeat } from './repeater.js';
+import { REPORT_FORMATS, buildReport, reportSettings, setReportSettings } from './report.js';
+import { decodeRequestBody } from './request-body.js';
+import { RULES } from './rules.js';
+import { scope, setScope } from './scope.js';
+import { PAGE_SIZE, activeSessionId, clearSessionEntries, createSession, deleteSession, enforceRetention, getAllEntries, hostSummary, listSessions, loadEntry, persist, queryEntries, ready, renameSession, retention, setRetention, switchSession } from './storage.js';
+import { disabledRules, resetRuleHits, ruleHits, setUserRules, upsertUserRules, userRuleDefs } from './user-rules.js';
+import { saveState, whenRestored } from './worker.js';
+
+// --- Messaging API ---------------------------------------------------------------
+// One-shot requests from the panel (chrome.runtime.sendMessage), by msg.action.
+chrome.runtime.onMessage.addListener(whenRestored((msg, sender, sendResponse) => {
+	if (msg.action === 'snapshot') {
+		let filter;
+		try { filter = viewFilter(msg, sender); } catch (e) { sendResponse({data: [], total: 0, queryError: e.message}); return; }
+		const offset = Math.max(0, msg.offset | 0);
+		const limit = Math.min(200, Math.max(1, msg.limit | 0 || PAGE_SIZE));
+		ready.then(() => queryEntries(activeSessionId, { offset, limit, filter, sort: msg.sort }))
+			.then(page => sendResponse(Object.assign(page, { sessionId: activeSessionId, held: held.size })))
+			.catch(e => sendResponse({data: [], total: 0, error: e.message}));
+	} else if (msg.action === 'getEntry') {
+		// Raw body bytes do not survive messaging, so the decoded text goes along as requestBodyText
+		ready.then(() => loadEntry(activeSessionId, msg.id))
+			.then(entry => sendResponse({ok: !!entry, entry: entry && Object.assign({}, entry, { requestBodyText: decodeRequestBody(entry.requestBody)?.text ?? null })}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'clear') {
+		ready.then(() => clearSessionEntries(activeSessionId)).then(() => sendResponse({ok:true}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'sessions') {
+		ready.then(listSessions).then(sessions => sendResponse({sessions, activeSessionId, retention}), e => sendResponse({sessions: [], error: e.message}));
+	} else if (msg.action === 'createSession') {
+		ready.then(() => createSession((msg.name || '').trim()))
+			.then(session => switchSession(session.id).then(() => sendResponse({ok:true, session})))
+			.catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'switchSession') {
+		ready.then(listSessions).then(sessions => {
+			if (!sessions.some(x => x.id === msg.id)) return sendResponse({ok:false, error: 'Unknown session'});
+			return switchSession(msg.id).then(() => sendResponse({ok:true}));
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'renameSession') {
+		const name = (msg.name || '').trim();
+		if (!name) sendResponse({ok:false, error: 'Name required'});
+		else renameSession(msg.id, name).then(ok => sendResponse({ok}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'deleteSession') {
+		ready.then(() => deleteSession(msg.id)).then(() => sendResponse({ok:true, activeSessionId}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'setRetention') {
+		setRetention(msg);
+		chrome.storage.local.set({ retention });
+		ready.then(() => enforceRetention(activeSessionId)).then(() => sendResponse({ok:true, retention}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'setFilter') {
+		setFilterDomain(msg.value);
+		saveState();
+		resetPorts();
+		sendResponse({ok:true, value: filterDomain});
+	} else if (msg.action === 'setPosition') {
+		// set position for the panel's tab (msg.tabId from DevTools / window panels)
+		const tabId = panelTabId(msg, sender);
+		if (tabId != null && typeof msg.value === 'string') {
+			activePanelPosition.set(tabId, msg.value === 'left' ? 'left' : 'right');
+			saveState();
+			sendResponse({ok:true});
+		} else sendResponse({ok:false});
+	} else if (msg.action === 'getPosition') {
+		const tabId = panelTabId(msg, sender);
+		sendResponse({value: (tabId != null && activePanelPosition.get(tabId)) || 'right'});
+	} else if (msg.action === 'registerFrame') {
+		// From content.js, for the panel frame it is about to create in its tab
+		if (sender.tab && typeof msg.key === 'string' && msg.key) {
+			registerFrameKey(sender.tab.id, msg.key);
+			sendResponse({ok:true});
+		} else sendResponse({ok:false});
+	} else if (msg.action === 'claimFrame') {
+		sendResponse({ok: !!sender.tab && claimFrameKey(sender.tab.id, msg.key)});
+	} else if (msg.action === 'panelInfo') {
+		// The panel page cannot read the inspected tab's URL itself
+		const tabId = panelTabId(msg, sender);
+		if (tabId == null) { sendResponse({ok:false, error: 'No tab'}); return; }
+		chrome.tabs.get(tabId, tab => {
+			if (chrome.runtime.lastError || !tab) sendResponse({ok:false, error: 'No tab'});
+			else sendResponse({ok:true, tabId, url: tab.url || '', side: activePanelPosition.get(tabId) || 'right'});
+		});
+		return true;
+	} else if (msg.action === 'getFilter') {
+		sendResponse({value: filterDomain});
+	} else if (msg.action === 'getSavedFilters') {
+		sendResponse({filters: savedFilters, sorts: ['time'].concat(Object.keys(SORTS))});
+	} else if (msg.action === 'saveFilter') {
+		try { sendResponse({ok:true, filter: saveFilter(msg.filter || {}), filters: savedFilters}); }
+		catch (e) { sendResponse({ok:false, error: e.message}); }
+	} else if (msg.action === 'deleteFilter') {
+		deleteFilter(msg.name);
+		sendResponse({ok:true, filters: savedFilters});
+	} else if (msg.action === 'export') {
+		// Default is HAR 1.2; format 'json' keeps the raw internal dump. Exports the active session.
+		ready.then(() => getAllEntries(activeSessionId)).then(entries => {
+			const file = msg.format === 'json' ? jsonFile(entries, 'http_analyzer_export.json') : jsonFile(toHar(entries), 'http_analyzer_export.har');
+			sendResponse({ok:true, count: entries.length, file});
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'getRules') {
+		sendResponse({
+			builtins: RULES.map(r => ({ id: r.id, label: r.label, weight: r.weight, enabled: !disabledRules.has(r.id), hits: ruleHits[r.id] || 0 })),
+			user: userRuleDefs.map(d => Object.assign({}, d, { enabled: !disabledRules.has(d.id), hits: ruleHits[d.id] || 0 }))
+		});
+	} else if (msg.action === 'saveRule' || msg.action === 'importRules') {
+		const defs = msg.action === 'saveRule' ? [msg.rule] : (Array.isArray(msg.rules) ? msg.rules : msg.rules?.rules);
+		try {
+			if (!Array.isArray(defs)) throw new Error('Expected an array of rules or {"rules": [...]}');
+			upsertUserRules(defs);
+			sendResponse({ok:true, count: defs.length});
+		} catch (e) { sendResponse({ok:false, error: e.message}); }
+	} else if (msg.action === 'deleteRule') {
+		disabledRules.delete(msg.id);
+		delete ruleHits[msg.id];
+		setUserRules(userRuleDefs.filter(d => d.id !== msg.id));
+		sendResponse({ok:true});
+	} else if (msg.action === 'setRuleEnabled') {
+		if (msg.enabled) disabledRules.delete(msg.id); else disabledRules.add(msg.id);
+		setUserRules(userRuleDefs);
+		sendResponse({ok:true});
+	} else if (msg.action === 'resetRuleHits') {
+		resetRuleHits();
+		sendResponse({ok:true});
+	} else if (msg.action === 'exportRules') {
+		sendResponse({ok:true, file: jsonFile({ version: 1, rules: userRuleDefs.map(d => Object.assign({}, d, { enabled: !disabledRules.has(d.id) })) }, 'http_analyzer_rules.json')});
+	} else if (msg.action === 'repeatSeed') {
+		ready.then(() => loadEntry(activeSessionId, msg.id)).then(entry => {
+			if (!entry) return sendResponse({ok:false, error: 'Request not found in this session'});
+			sendResponse({ok:true, request: {
+				id: entry.id,
+				method: entry.method,
+				url: entry.url,
+				headers: (entry.requestHeaders || []).map(h => h.name + ': ' + (h.value || '')).join('\n'),
+				body: decodeRequestBody(entry.requestBody)?.text || ''
+			}, repeats: (entry.repeats || []).map(r => ({ id: r.id, timestamp: r.timestamp, method: r.request.method, url: r.request.url, statusCode: r.response?.statusCode || 0, error: r.error }))});
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'repeat') {
+		const req = msg.request || {};
+		if (!/^https?:\/\//i.test(req.url || '')) { sendResponse({ok:false, error: 'URL must be http(s)'}); return true; }
+		ready.then(() => loadEntry(activeSessionId, msg.id)).then(async entry => {
+			if (!entry) return sendResponse({ok:false, error: 'Request not found in this session'});
+			const repeat = await sendRepeat(entry, req);
+			sendResponse(Object.assign({ok:true}, repeatComparison(entry, repeat)));
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'repeatCompare') {
+		ready.then(() => loadEntry(activeSessionId, msg.id)).then(entry => {
+			const repeat = entry && (entry.repeats || []).find(r => r.id === msg.repeatId);
+			if (!repeat) return sendResponse({ok:false, error: 'Repeat not found'});
+			sendResponse(Object.assign({ok:true}, repeatComparison(entry, repeat)));
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'getBodyCapture') {
+		sendResponse({value: bodyCapture});
+	} else if (msg.action === 'setBodyCapture') {
+		setBodyCapture(msg);
+		chrome.storage.local.set({ bodyCapture });
+		syncAllDebuggers();
+		sendResponse({ok:true, value: bodyCapture});
+	} else if (msg.action === 'getScope') {
+		sendResponse({value: scope});
+	} else if (msg.action === 'setScope') {
+		setScope(msg.value || {});
+		chrome.storage.local.set({ scope });
+		syncReplaceRules().catch(e => console.error('[HTTP Analyzer] Replace rules not applied:', e.message));
+		sendResponse({ok:true, value: scope});
+	} else if (msg.action === 'inventory') {
+		ready.then(() => buildInventory(activeSessionId)).then(hosts => sendResponse({ok:true, hosts}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'exportOpenApi') {
+		ready.then(() => buildInventory(activeSessionId)).then(hosts => {
+			const host = hosts.find(h => h.host === msg.host);
+			if (!host) return sendResponse({ok:false, error: 'Unknown host'});
+			sendResponse({ok:true, count: host.endpoints.length, file: jsonFile(toOpenApi(host), 'openapi_' + host.host.replace(/[^\w.-]+/g, '_') + '.json')});
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'getIntercept') {
+		sendResponse({value: intercept, held: Array.from(held.values()).map(heldView), replaceRules});
+	} else if (msg.action === 'setIntercept') {
+		try {
+			setIntercept(msg.value || {});
+			chrome.storage.local.set({ intercept });
+			sendResponse({ok:true, value: intercept});
+		} catch (e) { sendResponse({ok:false, error: e.message}); }
+	} else if (msg.action === 'interceptAction') {
+		const ids = msg.all ? Array.from(held.keys()) : [msg.id];
+		const change = Object.assign({}, msg, typeof msg.headers === 'string' ? { headers: parseHeaderLines(msg.headers) } : {});
+		const count = ids.filter(id => resolveHeld(id, change)).length;
+		sendResponse({ok: count > 0, count, error: count ? undefined : 'Request is no longer held'});
+	} else if (msg.action === 'setReplaceRules') {
+		try { setReplaceRules(msg.rules); } catch (e) { sendResponse({ok:false, error: e.message}); return true; }
+		chrome.storage.local.set({ replaceRules });
+		syncReplaceRules().then(() => sendResponse({ok:true, rules: replaceRules}), e => sendResponse({ok:false, error: 'Rules saved but not applied - ' + e.message}));
+	} else if (msg.action === 'findings') {
+		ready.then(() => runCorrelation(activeSessionId)).then(findings => sendResponse({ok:true, findings}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'hostSummary') {
+		ready.then(() => hostSummary(activeSessionId)).then(hosts => sendResponse({ok:true, hosts}), e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'setStar') {
+		ready.then(() => loadEntry(activeSessionId, msg.id)).then(entry => {
+			if (!entry) return sendResponse({ok:false, error: 'Request not found in this session'});
+			entry.starred = !!msg.starred;
+			entry.note = entry.starred ? String(msg.note || '').trim() : '';
+			persist(entry);
+			sendResponse({ok:true, starred: entry.starred, note: entry.note});
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'getReportSettings') {
+		sendResponse({value: reportSettings});
+	} else if (msg.action === 'report') {
+		// format 'preview' only returns the findings; the others also return the report file
+		const format = REPORT_FORMATS[msg.format];
+		if (!format && msg.format !== 'preview') { sendResponse({ok:false, error: 'Unknown format: ' + msg.format}); return true; }
+		try { setReportSettings(msg.settings || reportSettings); } catch (e) { sendResponse({ok:false, error: e.message}); return true; }
+		chrome.storage.local.set({ reportSettings });
+		ready.then(() => buildReport(activeSessionId, reportSettings)).then(report => {
+			sendResponse({ok:true, settings: reportSettings, requests: report.requests, findings: report.findings.map(f => ({ id: f.id, title: f.title, severity: f.severity, count: f.count, tags: f.tags })),
+				file: format ? textFile(format.render(report), format.file, format.type) : undefined});
+		}).catch(e => sendResponse({ok:false, error: e.message}));
+	} else if (msg.action === 'importHar') {
+		importHar(msg.har).then(count => sendResponse({ok:true, count}), e => sendResponse({ok:false, error: e.message}));
+	}
+	return true;
+}));
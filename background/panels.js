@@ -0,0 +1,225 @@
+import { debuggees, syncDebugger } from './debugger.js';
+import { dropHeld, held } from './intercept.js';
+import { compileQuery } from './query.js';
+import { activeSessionId, forEachEntry, ready } from './storage.js';
+import { saveState, whenRestored } from './worker.js';
+
+// --- Panels ----------------------------------------------------------------------
+// Where the panel is shown: tabs it is injected into (re-injected after reloads), its
+// side per tab, and the filters that decide which entries a panel lists.
+
+// Track tabs where the panel should persist
+export const activeTabs = new Set();
+// Per-tab panel position: 'right' or 'left'
+export const activePanelPosition = new Map();
+
+export let filterDomain = null; // e.g. example.com (matches exact or subdomains)
+
+// One-time keys for the panel frame, per tab. content.js registers one before it frames
+// panel.html and passes it in the frame's URL hash; the panel claims it before it starts.
+// A page framing panel.html itself has no key to claim.
+const frameKeys = new Map();
+
+// Panel injection: content.js frames panel.html into the page (see panel.js).
+// onFail runs when the tab cannot be scripted (chrome:// pages, the Web Store).
+function inject(tabId, onFail) {
+	chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] }).then(() => {
+		console.log('[HTTP Analyzer] UI injected (tab ' + tabId + ')');
+		activeTabs.add(tabId);
+		saveState();
+		syncDebugger(tabId);
+	}, e => {
+		console.error('[HTTP Analyzer] Inject error:', e.message);
+		if (onFail) onFail();
+	});
+}
+
+// Unscriptable tabs get the panel in its own window instead
+function openPanelWindow(tabId) {
+	chrome.windows.create({ url: chrome.runtime.getURL('panel.html?host=window&tabId=' + tabId), type: 'popup', width: 520, height: 800 });
+}
+
+// Toolbar button click -> inject
+chrome.action.onClicked.addListener(whenRestored(tab => {
+	// If already active, do nothing (panel will auto reappear after reload)
+	if (!activeTabs.has(tab.id)) {
+		console.log('[HTTP Analyzer] Activating persistence on tab', tab.id);
+		inject(tab.id, () => openPanelWindow(tab.id));
+	} else {
+		// Optionally could toggle off; keeping persistent per request
+		console.log('[HTTP Analyzer] Already active on tab', tab.id, '- reinjecting if needed');
+		inject(tab.id, () => openPanelWindow(tab.id));
+	}
+}));
+
+// Re-inject after page reload / navigation
+chrome.tabs.onUpdated.addListener(whenRestored((tabId, changeInfo, tab) => {
+	if (activeTabs.has(tabId) && changeInfo.status === 'complete') {
+		console.log('[HTTP Analyzer] Tab reload/navigation detected, ensuring panel present (tab ' + tabId + ')');
+		inject(tabId);
+	}
+}));
+
+// Clean up closed tabs
+chrome.tabs.onRemoved.addListener(whenRestored(tabId => {
+	if (activeTabs.delete(tabId)) {
+		console.log('[HTTP Analyzer] Cleaned up closed tab', tabId);
+	}
+	// cleanup position map too
+	if (activePanelPosition.has(tabId)) activePanelPosition.delete(tabId);
+	frameKeys.delete(tabId);
+	saveState();
+	debuggees.delete(tabId);
+	dropHeld(tabId);
+}));
+
+export function setFilterDomain(value) {
+	filterDomain = String(value || '').trim() || null;
+}
+
+export function registerFrameKey(tabId, key) {
+	frameKeys.set(tabId, key);
+}
+
+// True once per registered key, for the tab it was registered in
+export function claimFrameKey(tabId, key) {
+	const ok = typeof key === 'string' && key !== '' && frameKeys.get(tabId) === key;
+	if (ok) frameKeys.delete(tabId);
+	return ok;
+}
+
+// The tab a panel belongs to: msg.tabId for DevTools / window panels, else the framing tab
+export function panelTabId(msg, sender) {
+	return msg.tabId ?? sender?.tab?.id ?? null;
+}
+
+// What a panel shows: its own tab (unless allTabs), the domain filter and its query.
+// Throws on query errors.
+export function viewFilter(opts, sender) {
+	const domainFilter = filterDomain ? (item => {
+		const h = item.host || (()=>{try{return new URL(item.url).host;}catch(e){return ''}})();
+		if (!h) return false;
+		return h === filterDomain || h.endsWith('.' + filterDomain);
+	}) : null;
+	const query = compileQuery(opts.query);
+	// Own tab by default; imported entries have no tab and show everywhere
+	const tabId = opts.allTabs ? null : panelTabId(opts, sender);
+	const tabFilter = tabId === null ? null : (item => item.tabId == null || item.tabId === tabId);
+	const tests = [tabFilter, domainFilter, query].filter(Boolean);
+	return tests.length ? (item => tests.every(test => test(item))) : null;
+}
+
+// --- Live panel updates ----------------------------------------------------------
+// Each panel keeps a port open and subscribes with its view options. It first gets
+// every matching entry as a row summary ('reset'), then batched 'changes' with
+// upserted summaries and removed ids as entries are persisted or dropped. Full
+// entries are loaded on demand (getEntry).
+const PUSH_DELAY_MS = 150;
+export const panelPorts = new Set();  // { port, sender, tabId, opts, filter, ids, ready, backlog, held }
+const changedEntries = new Set();
+const removedIds = new Set();  // [sessionId, id] pairs as 'sessionId id'
+let pushTimer = null;
+
+function entrySummary(e) {
+	return {
+		id: e.id, method: e.method, url: e.url, host: e.host, timestamp: e.timestamp, tabId: e.tabId,
+		status: e.response ? e.response.statusCode : null,
+		tags: e.tags || [], tagSeverity: e.tagSeverity || {}, score: e.score || 0,
+		repeats: (e.repeats || []).length, starred: !!e.starred
+	};
+}
+
+export function notifyChanged(entry) {
+	changedEntries.add(entry);
+	schedulePush();
+}
+
+export function notifyRemoved(sessionId, ids) {
+	ids.forEach(id => removedIds.add(sessionId + ' ' + id));
+	if (ids.length) schedulePush();
+}
+
+export function schedulePush() {
+	if (!pushTimer && panelPorts.size) pushTimer = setTimeout(pushChanges, PUSH_DELAY_MS);
+	if (!panelPorts.size) { changedEntries.clear(); removedIds.clear(); }
+}
+
+function pushChanges() {
+	pushTimer = null;
+	const entries = Array.from(changedEntries).filter(e => (e.sessionId || activeSessionId) === activeSessionId);
+	const removed = Array.from(removedIds).filter(key => key.startsWith(activeSessionId + ' ')).map(key => key.slice(activeSessionId.length + 1));
+	changedEntries.clear();
+	removedIds.clear();
+	panelPorts.forEach(sub => {
+		if (!sub.ready) { entries.forEach(e => sub.backlog.add(e)); return; }
+		pushTo(sub, entries, removed);
+	});
+}
+
+function pushTo(sub, entries, removed) {
+	const upserts = [], removes = [];
+	entries.forEach(e => {
+		if (!sub.filter || sub.filter(e)) { sub.ids.add(e.id); upserts.push(entrySummary(e)); }
+		else if (sub.ids.delete(e.id)) removes.push(e.id);
+	});
+	removed.forEach(id => { if (sub.ids.delete(id)) removes.push(id); });
+	if (!upserts.length && !removes.length && sub.held === held.size) return;
+	sub.held = held.size;
+	try { sub.port.postMessage({ type: 'changes', upserts, removes, held: held.size }); } catch (e) { panelPorts.delete(sub); }
+}
+
+// Every summary of a session that passes filter, newest first
+async function listSummaries(sessionId, filter) {
+	const rows = [];
+	await forEachEntry(sessionId, e => { if (!filter || filter(e)) rows.push(entrySummary(e)); });
+	return rows.reverse();
+}
+
+async function resetPort(sub) {
+	sub.ready = false;
+	sub.backlog = new Set();
+	try { sub.filter = viewFilter(sub.opts, sub.sender); } catch (e) {
+		sub.port.postMessage({ type: 'error', error: e.message });
+		return;
+	}
+	await ready;
+	const sessionId = activeSessionId;
+	const rows = await listSummaries(sessionId, sub.filter);
+	if (!panelPorts.has(sub)) return;
+	sub.ids = new Set(rows.map(r => r.id));
+	sub.ready = true;
+	sub.held = held.size;
+	sub.port.postMessage({ type: 'reset', sessionId, rows, held: held.size });
+	// Entries that changed while the list was being read
+	if (sub.backlog.size) pushTo(sub, Array.from(sub.backlog).filter(e => (e.sessionId || activeSessionId) === sessionId), []);
+	sub.backlog = new Set();
+}
+
+// Panels outside the page (DevTools, window) also want the debugger for their tab
+export function panelOpenFor(tabId) {
+	return Array.from(panelPorts).some(sub => sub.tabId === tabId);
+}
+
+export function resetPorts() {
+	panelPorts.forEach(sub => resetPort(sub).catch(e => console.error('[HTTP Analyzer] Panel reset failed:', e)));
+}
+
+chrome.runtime.onConnect.addListener(port => {
+	if (port.name !== 'http-panel') return;
+	const sub = { port, sender: port.sender, tabId: null, opts: {}, filter: null, ids: new Set(), ready: false, backlog: new Set(), held: 0 };
+	panelPorts.add(sub);
+	port.onMessage.addListener(whenRestored(msg => {
+		if (msg && msg.type === 'subscribe') {
+			sub.opts = { query: msg.query || '', allTabs: !!msg.allTabs, tabId: msg.tabId };
+			if (sub.tabId === null) {
+				sub.tabId = panelTabId(msg, port.sender);
+				if (sub.tabId !== null) syncDebugger(sub.tabId);
+			}
+			resetPort(sub).catch(e => port.postMessage({ type: 'error', error: e.message }));
+		}
+	}));
+	port.onDisconnect.addListener(whenRestored(() => {
+		panelPorts.delete(sub);
+		if (sub.tabId !== null) syncDebugger(sub.tabId);
+	}));
+});
@@ -0,0 +1,111 @@
+import { decodeRequestBody } from './request-body.js';
+import { startup } from './startup.js';
+
+// --- Query language ---------------------------------------------------------
+// Space-separated terms, all of which must match; a leading '-' negates a term.
+//   method:POST,PUT  status:>=400 / status:4xx / status:400-499  score:>30
+//   tag:AUTH  host:example.com (and subdomains)  path:/api  url~token  type:xmlhttprequest
+//   header:x-api-key  header:authorization=bearer  body~"password"  star:yes / star:no
+// ':' matches the field (exact for method/tag/type, suffix for host, substring otherwise),
+// '~' is always a case-insensitive substring match. A bare word searches the URL.
+export const SORTS = {
+	oldest: { value: e => e.timestamp || 0, dir: 1, cursor: 'next' },
+	score: { value: e => e.score || 0, dir: -1 },
+	status: { value: e => e.response?.statusCode || 0, dir: -1 },
+	host: { value: e => (e.host || '').toLowerCase(), dir: 1 }
+};
+
+function tokenizeQuery(text) {
+	return (String(text || '').match(/(?:[^\s"]+|"[^"]*"?)+/g) || []);
+}
+
+function numberTest(field, value) {
+	let m = /^([1-5])xx$/i.exec(value);
+	if (m) return n => Math.floor(n / 100) === +m[1];
+	m = /^(\d+)-(\d+)$/.exec(value);
+	if (m) return n => n >= +m[1] && n <= +m[2];
+	m = /^(>=|<=|>|<|=)?(-?\d+)$/.exec(value);
+	if (!m) throw new Error('Bad number for ' + field + ': ' + value);
+	const x = +m[2];
+	return { '>=': n => n >= x, '<=': n => n <= x, '>': n => n > x, '<': n => n < x }[m[1]] || (n => n === x);
+}
+
+function entryBodies(e) {
+	return [decodeRequestBody(e.requestBody)?.text, e.response?.body?.text].filter(Boolean);
+}
+
+function entryHeaders(e) {
+	return (e.requestHeaders || []).concat(e.response?.responseHeaders || []);
+}
+
+const QUERY_FIELDS = {
+	method: (v) => { const list = v.toUpperCase().split(','); return e => list.includes((e.method || '').toUpperCase()); },
+	status: (v, f) => { const test = numberTest(f, v); return e => !!e.response && test(e.response.statusCode || 0); },
+	score: (v, f) => { const test = numberTest(f, v); return e => test(e.score || 0); },
+	tag: (v) => { const list = v.toUpperCase().split(','); return e => (e.tags || []).some(t => list.includes(t.toUpperCase())); },
+	type: (v) => { const list = v.toLowerCase().split(','); return e => list.includes((e.type || '').toLowerCase()); },
+	host: (v) => {
+		const list = v.toLowerCase().split(',');
+		return e => { const h = (e.host || '').toLowerCase(); return list.some(d => h === d || h.endsWith('.' + d)); };
+	},
+	path: (v) => e => { try { return new URL(e.url).pathname.toLowerCase().includes(v.toLowerCase()); } catch (err) { return false; } },
+	url: (v) => e => (e.url || '').toLowerCase().includes(v.toLowerCase()),
+	header: (v) => {
+		const eq = v.indexOf('=');
+		const name = (eq < 0 ? v : v.slice(0, eq)).toLowerCase();
+		const value = eq < 0 ? null : v.slice(eq + 1).toLowerCase();
+		return e => entryHeaders(e).some(h => (h.name || '').toLowerCase() === name && (value === null || String(h.value || '').toLowerCase().includes(value)));
+	},
+	body: (v) => e => entryBodies(e).some(text => text.toLowerCase().includes(v.toLowerCase())),
+	star: (v) => { const want = !/^(no|false|0)$/i.test(v); return e => !!e.starred === want; }
+};
+
+// Fields for which '~' differs from ':' (substring instead of exact/suffix/header-name)
+const QUERY_CONTAINS = {
+	host: (v) => e => (e.host || '').toLowerCase().includes(v.toLowerCase()),
+	header: (v) => e => entryHeaders(e).some(h => ((h.name || '') + ': ' + (h.value || '')).toLowerCase().includes(v.toLowerCase())),
+	tag: (v) => e => (e.tags || []).some(t => t.toLowerCase().includes(v.toLowerCase())),
+	method: (v) => e => (e.method || '').toLowerCase().includes(v.toLowerCase()),
+	type: (v) => e => (e.type || '').toLowerCase().includes(v.toLowerCase())
+};
+
+// Returns a predicate, or null for an empty query. Throws on unknown fields / bad values.
+export function compileQuery(text) {
+	const tests = tokenizeQuery(text).map(token => {
+		const negate = token.length > 1 && token[0] === '-';
+		if (negate) token = token.slice(1);
+		const m = /^([a-z]+)([:~])(.*)$/i.exec(token);
+		let test;
+		if (m) {
+			const field = m[1].toLowerCase();
+			const value = m[3].replace(/"/g, '');
+			if (!QUERY_FIELDS[field]) throw new Error('Unknown field: ' + field);
+			if (!value) throw new Error('Missing value for ' + field);
+			test = (m[2] === '~' && QUERY_CONTAINS[field] || QUERY_FIELDS[field])(value, field);
+		} else {
+			test = QUERY_FIELDS.url(token.replace(/"/g, ''));
+		}
+		return negate ? (e => !test(e)) : test;
+	});
+	if (!tests.length) return null;
+	return e => tests.every(test => test(e));
+}
+
+// Saved filters: [{ name, query, sort }] in chrome.storage.local
+export let savedFilters = [];
+startup.push(chrome.storage.local.get(['savedFilters']).then(res => { if (Array.isArray(res?.savedFilters)) savedFilters = res.savedFilters; }));
+
+export function saveFilter(def) {
+	const name = String(def.name || '').trim();
+	if (!name) throw new Error('Name required');
+	compileQuery(def.query);
+	const filter = { name, query: String(def.query || '').trim(), sort: SORTS[def.sort] ? def.sort : 'time' };
+	savedFilters = savedFilters.filter(f => f.name !== name).concat(filter).sort((a, b) => a.name.localeCompare(b.name));
+	chrome.storage.local.set({ savedFilters });
+	return filter;
+}
+
+export function deleteFilter(name) {
+	savedFilters = savedFilters.filter(f => f.name !== name);
+	chrome.storage.local.set({ savedFilters });
+}
@@ -0,0 +1,177 @@
+import { persist } from './storage.js';
+
+// --- Repeater ---------------------------------------------------------------
+// Re-sends a (possibly edited) captured request from the service worker. fetch() may
+// not set Cookie, Origin, Referer and friends, so while a repeat is in flight a
+// declarativeNetRequest session rule, matching only the extension's own request to
+// that URL, sets the edited headers and strips browser defaults the user removed.
+// Repeats run one at a time so the rule and the webRequest events belong to one request.
+// Each result is kept on the original entry as `repeats` (oldest first).
+const REPEAT_BODY_MAX = 256 * 1024;
+const REPEAT_TIMEOUT_MS = 30 * 1000;
+const REPEAT_RULE_ID = 1;
+const REPEAT_DEFAULT_HEADERS = ['accept', 'accept-language', 'cache-control', 'content-type', 'origin', 'pragma', 'referer', 'user-agent',
+	'sec-ch-ua', 'sec-ch-ua-mobile', 'sec-ch-ua-platform', 'sec-fetch-dest', 'sec-fetch-mode', 'sec-fetch-site'];
+let repeating = Promise.resolve();
+let activeRepeat = null; // { url, meta }
+
+// Requests the extension itself makes (repeats) are not captured as traffic
+export function isOwnRequest(details) {
+	return details.tabId === -1 && details.initiator === location.origin;
+}
+
+export function parseHeaderLines(text) {
+	return String(text || '').split(/\r?\n/).map(line => {
+		const i = line.indexOf(':');
+		return i > 0 ? { name: line.slice(0, i).trim(), value: line.slice(i + 1).trim() } : null;
+	}).filter(h => h && h.name);
+}
+
+// Line diff (LCS) of two texts -> [{op: ' ' | '-' | '+', text}]
+function diffLines(a, b) {
+	const x = String(a).split('\n'), y = String(b).split('\n');
+	let pre = 0;
+	while (pre < x.length && pre < y.length && x[pre] === y[pre]) pre++;
+	let suf = 0;
+	while (suf < x.length - pre && suf < y.length - pre && x[x.length - 1 - suf] === y[y.length - 1 - suf]) suf++;
+	const xs = x.slice(pre, x.length - suf), ys = y.slice(pre, y.length - suf);
+	const out = x.slice(0, pre).map(text => ({ op: ' ', text }));
+	const n = xs.length, m = ys.length;
+	if (n * m > 2e6) {
+		// Too large for a table; show it as a full replacement
+		xs.forEach(text => out.push({ op: '-', text }));
+		ys.forEach(text => out.push({ op: '+', text }));
+	} else {
+		const w = m + 1;
+		const lcs = new Uint32Array((n + 1) * w);
+		for (let i = n - 1; i >= 0; i--) {
+			for (let j = m - 1; j >= 0; j--) {
+				lcs[i * w + j] = xs[i] === ys[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+			}
+		}
+		let i = 0, j = 0;
+		while (i < n && j < m) {
+			if (xs[i] === ys[j]) { out.push({ op: ' ', text: xs[i] }); i++; j++; }
+			else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) out.push({ op: '-', text: xs[i++] });
+			else out.push({ op: '+', text: ys[j++] });
+		}
+		while (i < n) out.push({ op: '-', text: xs[i++] });
+		while (j < m) out.push({ op: '+', text: ys[j++] });
+	}
+	x.slice(x.length - suf).forEach(text => out.push({ op: ' ', text }));
+	return out;
+}
+
+// Status line + sorted headers + body, the text both sides of a diff are built from
+function responseAsText(res) {
+	if (!res) return '(no response)';
+	const headers = (res.headers || []).slice().sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+	return [res.statusLine || ('HTTP ' + (res.statusCode || 0))]
+		.concat(headers.map(h => h.name + ': ' + (h.value || '')))
+		.concat(['', res.body != null ? res.body : '(body not captured)'])
+		.join('\n');
+}
+
+function originalResponse(entry) {
+	const res = entry.response;
+	if (!res) return null;
+	return { statusCode: res.statusCode, statusLine: res.statusLine, headers: res.responseHeaders || [], body: res.body?.text ?? null };
+}
+
+export function repeatComparison(entry, repeat) {
+	const original = originalResponse(entry);
+	return { original, repeat, diff: diffLines(responseAsText(original), repeat.error ? '(error) ' + repeat.error : responseAsText(repeat.response)) };
+}
+
+// Edited headers as DNR header operations; repeated names are folded into one value
+function repeatRule(url, headers) {
+	const values = new Map();
+	headers.forEach(h => {
+		const key = h.name.toLowerCase();
+		const prev = values.get(key);
+		if (prev) prev.value += (key === 'cookie' ? '; ' : ', ') + h.value;
+		else values.set(key, { header: h.name, operation: 'set', value: h.value });
+	});
+	const requestHeaders = Array.from(values.values()).filter(h => h.value !== '')
+		.concat(REPEAT_DEFAULT_HEADERS.filter(name => !values.has(name)).map(header => ({ header, operation: 'remove' })));
+	return {
+		id: REPEAT_RULE_ID,
+		priority: 3,
+		action: { type: 'modifyHeaders', requestHeaders },
+		condition: {
+			regexFilter: '^' + url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$',
+			initiatorDomains: [chrome.runtime.id],
+			tabIds: [chrome.tabs.TAB_ID_NONE],
+			resourceTypes: ['xmlhttprequest']
+		}
+	};
+}
+
+export function sendRepeat(entry, req) {
+	const run = repeating.then(() => runRepeat(entry, req));
+	repeating = run.catch(() => {});
+	return run;
+}
+
+async function runRepeat(entry, req) {
+	const method = String(req.method || 'GET').trim().toUpperCase();
+	const hasBody = !['GET', 'HEAD'].includes(method) && req.body != null && req.body !== '';
+	// Content-Length and Host are set by the network stack
+	const headers = parseHeaderLines(req.headers).filter(h => !/^(content-length|host)$/i.test(h.name));
+	const started = Date.now();
+	const rec = {
+		id: 'rep-' + started.toString(36) + Math.random().toString(36).slice(2, 5),
+		timestamp: started,
+		request: { method, url: req.url, headers, body: hasBody ? String(req.body) : '' },
+		response: null,
+		error: null
+	};
+	const ctrl = new AbortController();
+	const timer = setTimeout(() => ctrl.abort(), REPEAT_TIMEOUT_MS);
+	try {
+		// webRequest reports the URL without its fragment
+		const url = new URL(req.url);
+		url.hash = '';
+		await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [REPEAT_RULE_ID], addRules: [repeatRule(url.href, headers)] });
+		activeRepeat = { url: url.href, meta: null };
+		const res = await fetch(url.href, {
+			method,
+			body: hasBody ? String(req.body) : undefined,
+			credentials: 'omit',
+			redirect: 'manual',
+			cache: 'no-store',
+			signal: ctrl.signal
+		});
+		// Redirects come back opaque; status and headers still arrive through webRequest
+		const body = res.type === 'opaqueredirect' ? '' : await res.text();
+		const meta = activeRepeat.meta;
+		rec.response = {
+			statusCode: meta ? meta.statusCode : res.status,
+			statusLine: meta ? meta.statusLine : ('HTTP ' + res.status + ' ' + res.statusText),
+			headers: meta ? meta.headers : Array.from(res.headers.entries()).map(([name, value]) => ({ name, value })),
+			body: body.slice(0, REPEAT_BODY_MAX),
+			bodyTruncated: body.length > REPEAT_BODY_MAX,
+			time: Date.now() - started
+		};
+	} catch (e) {
+		rec.error = e.name === 'AbortError' ? 'Timed out after ' + (REPEAT_TIMEOUT_MS / 1000) + 's' : e.message;
+	} finally {
+		clearTimeout(timer);
+		activeRepeat = null;
+		await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [REPEAT_RULE_ID] }).catch(() => {});
+	}
+	entry.repeats = (entry.repeats || []).concat(rec);
+	persist(entry);
+	return rec;
+}
+
+// Status line and raw headers (Set-Cookie included) of the in-flight repeat
+chrome.webRequest.onHeadersReceived.addListener(
+	details => {
+		if (activeRepeat && isOwnRequest(details) && details.url === activeRepeat.url) {
+			activeRepeat.meta = { statusCode: details.statusCode, statusLine: details.statusLine || ('HTTP ' + details.statusCode), headers: details.responseHeaders || [] };
+		}
+	},
+	{ urls: ['<all_urls>'] },
+	['responseHeaders', 'extraHeaders']
+);
@@ -0,0 +1,359 @@
+import { fingerprint, runCorrelation } from './correlation.js';
+import { templatePath } from './inventory.js';
+import { JWT_RE } from './jwt.js';
+import { decodeRequestBody } from './request-body.js';
+import { RULES, SECRET_RE, SENSITIVE_PARAM_RE } from './rules.js';
+import { startup } from './startup.js';
+import { forEachEntry, listSessions } from './storage.js';
+import { SEVERITIES, userRules } from './user-rules.js';
+
+// --- Findings report -----------------------------------------------------------
+// Collects starred requests and those scoring at least minScore, grouped by host + method
+// + path template, into findings with a title, severity, description and evidence. The
+// evidence is the best request of each group (starred first, then highest score) with
+// tokens, cookie values, SENSITIVE_PARAM_RE parameters and headers and any extra patterns
+// redacted.
+// Formats: Markdown, standalone HTML, SARIF 2.1.0 and the plain report object (JSON).
+const REDACTED = '[REDACTED]';
+const DEFAULT_REPORT = { minScore: 40, starred: true, bodyChars: 2000, redact: { tokens: true, cookies: true, params: true, patterns: [] } };
+const REPORT_MAX_REQUESTS = 20; // affected requests listed per finding
+const TOKEN_HEADER_RE = /^(authorization|proxy-authorization|x-api-key|api-key|x-auth-token|x-access-token|x-csrf-token|x-xsrf-token)$/i;
+const PARAM_PAIR_RE = /(^|[?&;\s])([^=&?#;\s]+)=([^&#;\s]*)/g;
+const JSON_PAIR_RE = /("([^"\\]+)"\s*:\s*)"((?:[^"\\]|\\.)*)"/g;
+const SARIF_LEVEL = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+// label -> [title, description] for the report; user rule labels fall back to the label itself
+const REPORT_TAGS = {
+	'AUTH': ['Authentication endpoint', 'Handles logins, tokens or sessions. Check for brute force, credential stuffing and session fixation.'],
+	'OAUTH': ['OAuth / OpenID Connect flow', 'Authorization or callback endpoint. Check redirect_uri validation, state and PKCE.'],
+	'ACCOUNT': ['Account management', 'Profile, settings or password reset endpoint. Check for account takeover and missing re-authentication.'],
+	'UPLOAD': ['File upload', 'Accepts uploaded files. Check type and size validation and where the files are served from.'],
+	'ADMIN': ['Administrative or debug endpoint', 'Admin, debug, metrics or health path reachable from the browser.'],
+	'GRAPHQL': ['GraphQL endpoint', 'Check introspection, query depth limits and per-field authorization.'],
+	'WS': ['WebSocket', 'WebSocket connection. Check origin validation and per-message authorization.'],
+	'CORS': ['Wildcard CORS', 'Access-Control-Allow-Origin: * lets any site read the response.'],
+	'CORS-CREDS': ['Credentialed CORS with a reflected origin', 'The response allows credentials for an arbitrary or null Origin, so other sites can read it as the user.'],
+	'CSP': ['Missing or weak Content-Security-Policy', 'No CSP, or one that still allows inline or broadly sourced scripts.'],
+	'HSTS': ['Missing or weak HSTS', 'Strict-Transport-Security is missing or has a short max-age.'],
+	'CLICKJACK': ['Clickjacking', 'No X-Frame-Options or frame-ancestors, so the page can be framed.'],
+	'NOSNIFF': ['Missing X-Content-Type-Options', 'Browsers may MIME-sniff the response.'],
+	'REFERRER': ['Weak Referrer-Policy', 'Full URLs may leak to other sites through the Referer header.'],
+	'PERMISSIONS': ['Missing Permissions-Policy', 'Powerful browser features are not restricted.'],
+	'COOKIE-FLAGS': ['Cookies without security flags', 'Set-Cookie lacks Secure, HttpOnly or SameSite.'],
+	'SENSITIVE': ['Sensitive parameters', 'Passwords, tokens or similar values are sent in the query string or body.'],
+	'PII': ['Personal data', 'Email addresses or SSN-like numbers in the request or response body.'],
+	'TECH': ['Technology disclosure', 'Server or X-Powered-By reveals the software in use.'],
+	'FRAMEWORK': ['Framework disclosure', 'The response reveals the framework or its version.'],
+	'CDN': ['CDN', 'Served through a CDN.'],
+	'ERROR': ['Error response', 'The server answered with a 4xx or 5xx status.'],
+	'RATE-LIMIT': ['Rate limiting observed', 'The endpoint returned 429 recently.'],
+	'JWT': ['JSON Web Token', 'A JWT is sent or returned.'],
+	'JWT-NONE': ['JWT with alg "none"', 'An unsigned token; the server may accept forged claims.'],
+	'JWT-HS256': ['HMAC-signed JWT', 'HS256 tokens can be brute-forced offline if the secret is weak.'],
+	'JWT-NO-EXP': ['JWT without expiry', 'The token has no exp claim and never expires.'],
+	'JWT-LONG-EXP': ['Long-lived JWT', 'The token expires far in the future.'],
+	'JWT-EXPIRED-OK': ['Expired JWT accepted', 'A request with an expired token still got a 2xx response.'],
+	'JWT-KID': ['JWT kid header', 'The kid header is an injection surface (path traversal, SQL) for key lookup.'],
+	'JWT-JKU': ['JWT jku / x5u header', 'The token points at its own key set, which may let an attacker supply the key.'],
+	'JWT-REUSED': ['JWT reused across hosts', 'The same token is accepted by more than one host.'],
+	'STACKTRACE': ['Stack trace in response', 'The response exposes a stack trace with internal paths and code.'],
+	'SQL-ERROR': ['SQL error in response', 'A database error reached the client, which often indicates SQL injection.'],
+	'SECRET': ['Secret in response', 'An API key, private key or similar secret is returned to the browser.'],
+	'INTERNAL-IP': ['Internal IP address disclosed', 'The response contains a private network address.'],
+	'EXPORT': ['Export / download endpoint', 'Bulk data export. Check authorization and what the export contains.'],
+	'IDOR': ['Possible IDOR', 'Object IDs in the path or parameters vary across requests with successful responses.'],
+	'AUTHZ-DIFF': ['Responses differ per user', 'The same endpoint answers differently for different users; check authorization.'],
+	'NO-RATE-LIMIT': ['No rate limiting on authentication', 'Many attempts against an authentication endpoint and no 429.'],
+	'TOKEN-IN-URL': ['Sensitive value in URL', 'A token or session value from a response is sent in later URLs, where it ends up in logs and Referer headers.'],
+	'ERROR-SPIKE': ['Error spike', 'A burst of 5xx responses from one host.']
+};
+export let reportSettings = JSON.parse(JSON.stringify(DEFAULT_REPORT));
+startup.push(chrome.storage.local.get(['reportSettings']).then(res => {
+	try { if (res?.reportSettings) reportSettings = normalizeReportSettings(res.reportSettings); }
+	catch (e) { console.error('[HTTP Analyzer] Ignoring stored report settings:', e.message); }
+}));
+
+export function setReportSettings(def) {
+	reportSettings = normalizeReportSettings(def);
+}
+
+// Throws on a bad redaction pattern
+function normalizeReportSettings(v) {
+	const redact = Object.assign({}, DEFAULT_REPORT.redact, v.redact);
+	const patterns = (Array.isArray(redact.patterns) ? redact.patterns : String(redact.patterns || '').split('\n'))
+		.map(p => String(p).trim()).filter(Boolean);
+	patterns.forEach(p => { try { new RegExp(p); } catch (e) { throw new Error('Bad redaction pattern ' + p + ': ' + e.message); } });
+	return {
+		minScore: Math.max(0, parseInt(v.minScore, 10) || 0),
+		starred: v.starred !== false,
+		bodyChars: Math.max(0, parseInt(v.bodyChars, 10) || 0),
+		redact: { tokens: !!redact.tokens, cookies: !!redact.cookies, params: !!redact.params, patterns }
+	};
+}
+
+// SENSITIVE_PARAM_RE matches whole words, so access_token / api-key are also tried split up
+function sensitiveName(name) {
+	return SENSITIVE_PARAM_RE.test(name) || SENSITIVE_PARAM_RE.test(name.replace(/[_.-]+/g, ' '));
+}
+
+function redactText(text, redact) {
+	if (!text) return text || '';
+	let out = String(text);
+	if (redact.params) {
+		out = out.replace(PARAM_PAIR_RE, (m, sep, name, value) => {
+			let decoded = name;
+			try { decoded = decodeURIComponent(name); } catch (e) { /* keep as is */ }
+			return value && sensitiveName(decoded) ? sep + name + '=' + REDACTED : m;
+		});
+		out = out.replace(JSON_PAIR_RE, (m, prefix, name, value) => value && sensitiveName(name) ? prefix + '"' + REDACTED + '"' : m);
+	}
+	if (redact.tokens) {
+		out = out.replace(new RegExp(JWT_RE.source, 'g'), REDACTED).replace(new RegExp(SECRET_RE.source, 'gi'), REDACTED);
+	}
+	redact.patterns.forEach(p => { out = out.replace(new RegExp(p, 'gi'), REDACTED); });
+	return out;
+}
+
+function redactCookies(value, separator) {
+	return value.split(separator).map(pair => {
+		const i = pair.indexOf('=');
+		return i > 0 ? pair.slice(0, i) + '=' + REDACTED : pair;
+	}).join(separator);
+}
+
+function redactHeaders(headers, redact) {
+	return (headers || []).map(h => {
+		const name = h.name || '';
+		let value = String(h.value || '');
+		if (redact.cookies && /^cookie$/i.test(name)) value = redactCookies(value, ';');
+		else if (redact.cookies && /^set-cookie$/i.test(name)) {
+			// Keep the attributes (Secure, HttpOnly...), they are often the finding
+			value = value.split('\n').map(line => redactCookies(line.split(';')[0], ';') + line.slice(line.split(';')[0].length)).join('\n');
+		} else if (redact.tokens && TOKEN_HEADER_RE.test(name)) {
+			const m = /^(\w+)\s+\S/.exec(value);
+			value = m ? m[1] + ' ' + REDACTED : REDACTED;
+		} else if (redact.params && value && sensitiveName(name)) {
+			value = REDACTED;
+		}
+		return { name, value: redactText(value, redact) };
+	});
+}
+
+function excerpt(text, max) {
+	if (!text || !max) return '';
+	return text.length > max ? text.slice(0, max) + '\n... [' + (text.length - max) + ' more chars]' : text;
+}
+
+function tagWeight(label) {
+	return RULES.concat(userRules).reduce((w, r) => r.label === label ? Math.max(w, r.weight) : w, 0);
+}
+
+function scoreSeverity(score) {
+	return score >= 60 ? 'high' : score >= 40 ? 'medium' : score >= 25 ? 'low' : 'info';
+}
+
+function maxSeverity(list) {
+	return list.reduce((a, b) => SEVERITIES.indexOf(b) > SEVERITIES.indexOf(a) ? b : a, 'info');
+}
+
+function reportEvidence(e, settings) {
+	const redact = settings.redact;
+	const res = e.response;
+	return {
+		request: {
+			method: e.method,
+			url: redactText(e.url, redact),
+			headers: redactHeaders(e.requestHeaders, redact),
+			body: excerpt(redactText(decodeRequestBody(e.requestBody)?.text, redact), settings.bodyChars)
+		},
+		response: res ? {
+			statusCode: res.statusCode,
+			statusLine: res.statusLine || ('HTTP/1.1 ' + res.statusCode),
+			headers: redactHeaders(res.responseHeaders, redact),
+			body: excerpt(redactText(res.body?.text, redact), settings.bodyChars)
+		} : null
+	};
+}
+
+// Resolves with { title, generated, session, settings, requests, findings }
+export async function buildReport(sessionId, settings) {
+	const correlated = await runCorrelation(sessionId);
+	const groups = new Map();
+	let picked = 0;
+	await forEachEntry(sessionId, e => {
+		if (!(settings.starred && e.starred) && !((e.score || 0) >= settings.minScore && (e.tags || []).length)) return;
+		let u;
+		try { u = new URL(e.url); } catch (err) { return; }
+		picked++;
+		const key = u.host + ' ' + (e.method || 'GET').toUpperCase() + ' ' + templatePath(u.pathname).path;
+		if (!groups.has(key)) groups.set(key, { host: u.host, method: (e.method || 'GET').toUpperCase(), path: templatePath(u.pathname).path, entries: [] });
+		groups.get(key).entries.push(e);
+	});
+	const findings = Array.from(groups.values()).map(g => {
+		g.entries.sort((a, b) => (!!b.starred - !!a.starred) || ((b.score || 0) - (a.score || 0)) || (b.timestamp - a.timestamp));
+		const top = g.entries[0];
+		const ids = new Set(g.entries.map(e => e.id));
+		const tags = Array.from(new Set([].concat(...g.entries.map(e => e.tags || []))))
+			.sort((a, b) => tagWeight(b) - tagWeight(a) || a.localeCompare(b));
+		const related = correlated.filter(f => f.entryIds.some(id => ids.has(id)));
+		const score = Math.max(...g.entries.map(e => e.score || 0));
+		const severity = maxSeverity([scoreSeverity(score)]
+			.concat(...g.entries.map(e => Object.values(e.tagSeverity || {})))
+			.concat(related.map(f => f.severity)));
+		const description = tags.map(tag => {
+			const details = (top.audit?.issues || []).filter(i => i.code === tag).map(i => i.detail)
+				.concat(tag === 'COOKIE-FLAGS' ? (top.audit?.cookies || []).map(c => c.name + ' missing ' + c.missing.join(', ')) : [])
+				.concat(related.filter(f => f.code === tag).map(f => f.detail));
+			return { tag, text: (REPORT_TAGS[tag] || [tag, 'Matched the ' + tag + ' tagging rule.'])[1], details: details.map(d => redactText(d, settings.redact)) };
+		});
+		// templatePath() keeps segments that are not ids, tokens in the path included
+		const host = redactText(g.host, settings.redact), path = redactText(g.path, settings.redact);
+		return {
+			title: redactText((tags.length ? (REPORT_TAGS[tags[0]] || [tags[0]])[0] : 'Starred request') + ': ' + g.method + ' ' + host + path, settings.redact),
+			severity, score, tags,
+			host, method: g.method, path,
+			starred: g.entries.some(e => e.starred),
+			notes: g.entries.map(e => e.note).filter(Boolean).map(n => redactText(n, settings.redact)),
+			description,
+			evidence: reportEvidence(top, settings),
+			requests: g.entries.slice(0, REPORT_MAX_REQUESTS).map(e => ({ method: e.method, url: redactText(e.url, settings.redact), status: e.response ? e.response.statusCode : null, score: e.score || 0 })),
+			count: g.entries.length
+		};
+	});
+	const order = SEVERITIES.slice().reverse();
+	findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || b.score - a.score);
+	findings.forEach((f, i) => { f.id = 'F' + (i + 1); });
+	const session = (await listSessions()).find(s => s.id === sessionId);
+	return {
+		title: 'HTTP Analyzer report' + (session ? ' - ' + session.name : ''),
+		generated: new Date().toISOString(),
+		session: session ? { id: session.id, name: session.name } : { id: sessionId },
+		settings: { minScore: settings.minScore, starred: settings.starred, redact: { tokens: settings.redact.tokens, cookies: settings.redact.cookies, params: settings.redact.params, patterns: settings.redact.patterns.length } },
+		requests: picked,
+		findings
+	};
+}
+
+function redactionSummary(report) {
+	const r = report.settings.redact;
+	const parts = [r.tokens && 'tokens', r.cookies && 'cookie values', r.params && 'sensitive parameters', r.patterns && r.patterns + ' custom pattern' + (r.patterns === 1 ? '' : 's')].filter(Boolean);
+	return parts.length ? 'Redacted: ' + parts.join(', ') + '.' : 'Nothing redacted.';
+}
+
+function httpMessage(part, firstLine) {
+	return [firstLine].concat(part.headers.map(h => h.name + ': ' + h.value)).join('\n') + (part.body ? '\n\n' + part.body : '');
+}
+
+function evidenceText(f) {
+	const ev = f.evidence;
+	return {
+		request: httpMessage(ev.request, ev.request.method + ' ' + ev.request.url),
+		response: ev.response ? httpMessage(ev.response, ev.response.statusLine) : '(no response)'
+	};
+}
+
+// A code fence longer than any backtick run inside the text
+function mdFence(text, lang) {
+	const runs = String(text).match(/`{3,}/g) || [];
+	const fence = '`'.repeat(Math.max(3, ...runs.map(r => r.length + 1)));
+	return fence + (lang || '') + '\n' + text + '\n' + fence;
+}
+
+function mdCell(text) {
+	return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function reportMarkdown(report) {
+	const out = ['# ' + report.title, '',
+		'Generated ' + report.generated + '. ' + report.findings.length + ' findings from ' + report.requests + ' requests. ' + redactionSummary(report), ''];
+	if (report.findings.length) {
+		out.push('| ID | Severity | Finding | Requests |', '|---|---|---|---|');
+		report.findings.forEach(f => out.push('| ' + f.id + ' | ' + f.severity + ' | ' + mdCell(f.title) + ' | ' + f.count + ' |'));
+		out.push('');
+	}
+	report.findings.forEach(f => {
+		const ev = evidenceText(f);
+		out.push('## ' + f.id + '. ' + f.title, '',
+			'**Severity:** ' + f.severity + ' | **Score:** ' + f.score + (f.tags.length ? ' | **Tags:** ' + f.tags.join(', ') : '') + (f.starred ? ' | starred' : ''), '');
+		f.notes.forEach(n => out.push('> ' + n.replace(/\n/g, '\n> '), ''));
+		f.description.forEach(d => {
+			out.push('- **' + d.tag + '**: ' + d.text);
+			d.details.forEach(x => out.push('  - ' + x));
+		});
+		if (f.description.length) out.push('');
+		out.push('### Evidence', '', mdFence(ev.request, 'http'), '', mdFence(ev.response, 'http'), '');
+		if (f.count > 1) {
+			out.push('### Requests (' + f.count + ')', '');
+			f.requests.forEach(r => out.push('- `' + r.method + '` ' + (r.status || '-') + ' `' + r.url + '`'));
+			if (f.count > f.requests.length) out.push('- ... ' + (f.count - f.requests.length) + ' more');
+			out.push('');
+		}
+	});
+	return out.join('\n');
+}
+
+function htmlEscape(s) {
+	return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function reportHtml(report) {
+	const sevColor = { info: '#777', low: '#2a8a3a', medium: '#c77800', high: '#d2451e', critical: '#c4124a' };
+	const badge = (sev) => '<span class="sev" style="background:' + sevColor[sev] + '">' + htmlEscape(sev) + '</span>';
+	return '<!doctype html>\n<html><head><meta charset="utf-8"><title>' + htmlEscape(report.title) + '</title>\n<style>' +
+		'body{font:14px/1.5 -apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#222;max-width:1000px;margin:30px auto;padding:0 20px}' +
+		'h1{font-size:24px}h2{font-size:18px;border-top:1px solid #ddd;padding-top:18px;margin-top:30px}h3{font-size:14px}' +
+		'table{border-collapse:collapse;width:100%}td,th{border:1px solid #ddd;padding:4px 8px;text-align:left;vertical-align:top}' +
+		'pre{background:#f6f6f6;border:1px solid #ddd;padding:8px;overflow:auto;white-space:pre-wrap;word-break:break-all;font-size:12px}' +
+		'.sev{color:#fff;border-radius:3px;padding:1px 6px;font-size:12px}.meta{color:#666}.note{border-left:3px solid #999;padding-left:8px;color:#444}' +
+		'</style></head><body>\n' +
+		'<h1>' + htmlEscape(report.title) + '</h1>\n' +
+		'<p class="meta">Generated ' + htmlEscape(report.generated) + '. ' + report.findings.length + ' findings from ' + report.requests + ' requests. ' + htmlEscape(redactionSummary(report)) + '</p>\n' +
+		(report.findings.length ? '<table><tr><th>ID</th><th>Severity</th><th>Finding</th><th>Requests</th></tr>' +
+			report.findings.map(f => '<tr><td><a href="#' + f.id + '">' + f.id + '</a></td><td>' + badge(f.severity) + '</td><td>' + htmlEscape(f.title) + '</td><td>' + f.count + '</td></tr>').join('') +
+			'</table>\n' : '') +
+		report.findings.map(f => {
+			const ev = evidenceText(f);
+			return '<h2 id="' + f.id + '">' + f.id + '. ' + htmlEscape(f.title) + '</h2>\n' +
+				'<p>' + badge(f.severity) + ' <span class="meta">score ' + f.score + (f.tags.length ? ' &middot; ' + htmlEscape(f.tags.join(', ')) : '') + (f.starred ? ' &middot; starred' : '') + '</span></p>\n' +
+				f.notes.map(n => '<p class="note">' + htmlEscape(n) + '</p>\n').join('') +
+				'<ul>' + f.description.map(d => '<li><b>' + htmlEscape(d.tag) + '</b>: ' + htmlEscape(d.text) +
+					(d.details.length ? '<ul>' + d.details.map(x => '<li>' + htmlEscape(x) + '</li>').join('') + '</ul>' : '') + '</li>').join('') + '</ul>\n' +
+				'<h3>Evidence</h3>\n<pre>' + htmlEscape(ev.request) + '</pre>\n<pre>' + htmlEscape(ev.response) + '</pre>\n' +
+				(f.count > 1 ? '<h3>Requests (' + f.count + ')</h3>\n<ul>' + f.requests.map(r => '<li><code>' + htmlEscape(r.method) + '</code> ' + (r.status || '-') + ' ' + htmlEscape(r.url) + '</li>').join('') +
+					(f.count > f.requests.length ? '<li>... ' + (f.count - f.requests.length) + ' more</li>' : '') + '</ul>\n' : '');
+		}).join('') +
+		'</body></html>\n';
+}
+
+// SARIF 2.1.0: one result per finding, ruleId is its highest-weight tag
+function reportSarif(report) {
+	const ruleIds = Array.from(new Set(report.findings.map(f => f.tags[0] || 'STARRED')));
+	return {
+		$schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+		version: '2.1.0',
+		runs: [{
+			tool: { driver: {
+				name: 'HTTP Analyzer',
+				version: chrome.runtime.getManifest().version,
+				rules: ruleIds.map(id => {
+					const info = REPORT_TAGS[id] || (id === 'STARRED' ? ['Starred request', 'Marked for the report by hand.'] : [id, 'Matched the ' + id + ' tagging rule.']);
+					return { id, name: id, shortDescription: { text: info[0] }, fullDescription: { text: info[1] } };
+				})
+			} },
+			results: report.findings.map(f => ({
+				ruleId: f.tags[0] || 'STARRED',
+				level: SARIF_LEVEL[f.severity] || 'note',
+				message: { text: f.title + '\n' + f.notes.concat(f.description.map(d => d.tag + ': ' + d.text + d.details.map(x => ' ' + x).join(''))).join('\n') },
+				locations: [{ physicalLocation: { artifactLocation: { uri: f.evidence.request.url } } }],
+				partialFingerprints: { endpoint: fingerprint(f.host + ' ' + f.method + ' ' + f.path) },
+				properties: { id: f.id, severity: f.severity, score: f.score, tags: f.tags, evidence: f.evidence, requests: f.requests }
+			}))
+		}]
+	};
+}
+
+export const REPORT_FORMATS = {
+	md: { file: 'http_analyzer_report.md', type: 'text/markdown', render: reportMarkdown },
+	html: { file: 'http_analyzer_report.html', type: 'text/html', render: reportHtml },
+	sarif: { file: 'http_analyzer_report.sarif', type: 'application/sarif+json', render: r => JSON.stringify(reportSarif(r), null, 2) },
+	json: { file: 'http_analyzer_report.json', type: 'application/json', render: r => JSON.stringify(r, null, 2) }
+};
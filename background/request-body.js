@@ -0,0 +1,22 @@
+// --- Request body decoding ------------------------------------------------
+// webRequest gives either parsed formData ({name: [values]}) or raw byte chunks.
+export function decodeRequestBody(body) {
+	if (!body) return null;
+	if (body.formData) {
+		const params = [];
+		for (const [name, values] of Object.entries(body.formData)) {
+			(Array.isArray(values) ? values : [values]).forEach(value => params.push({ name, value: String(value) }));
+		}
+		const text = params.map(p => encodeURIComponent(p.name) + '=' + encodeURIComponent(p.value)).join('&');
+		return { mimeType: 'application/x-www-form-urlencoded', text, params };
+	}
+	if (Array.isArray(body.raw)) {
+		const text = body.raw.map(part => {
+			if (part.bytes) { try { return new TextDecoder('utf-8').decode(part.bytes); } catch (e) { return ''; } }
+			if (part.file) return '[file: ' + part.file + ']';
+			return '';
+		}).join('');
+		return { mimeType: '', text };
+	}
+	return null;
+}
@@ -0,0 +1,71 @@
+import { auditIssue, hasFinding } from './audit.js';
+import { jwtIssue } from './jwt.js';
+
+// --- Tagging / Scoring Rules ----------------------------------------------
+// Lightweight rules to identify interesting endpoints.
+export const SENSITIVE_PARAM_RE = /\b(pass(word)?|token|jwt|api_?key|secret|session|csrf|sso|saml|code|state|redirect_uri|returnUrl|grant_type|file|upload|private_key|credit_card|ssn)\b/i;
+const pathRe = (r) => new RegExp(r, 'i');
+// Java, Python, .NET, PHP, Node and Ruby stack traces
+const STACK_TRACE_RE = /(\bat [\w$.<>]+\([\w$]+\.(java|kt|scala):\d+\)|Traceback \(most recent call last\)|\bat [\w.`<>]+\(.*\) in .+:line \d+|(Fatal error|Warning|Parse error|Notice): .+ in \S+\.php on line \d+|\bat .+ \((\/|[A-Z]:\\).+\.[cm]?js:\d+:\d+\)|\.rb:\d+:in `)/;
+const SQL_ERROR_RE = /(You have an error in your SQL syntax|SQL syntax.*MySQL|\bORA-\d{5}\b|PG::\w+Error|PSQLException|syntax error at or near|SQLSTATE\[|Unclosed quotation mark after the character string|Microsoft OLE DB Provider for SQL Server|System\.Data\.SqlClient\.SqlException|sqlite3?\.OperationalError|SQLite3::|SQLITE_ERROR)/i;
+// AWS access keys, PEM private keys, GitHub/Slack/Google/Stripe tokens, JSON secret fields
+export const SECRET_RE = /(\bAKIA[0-9A-Z]{16}\b|-----BEGIN (RSA |EC |DSA |OPENSSH |ENCRYPTED )?PRIVATE KEY-----|\bgh[pousr]_[A-Za-z0-9]{36}\b|\bgithub_pat_[A-Za-z0-9_]{22,}|\bxox[abprs]-[A-Za-z0-9-]{10,}|\bAIza[0-9A-Za-z_-]{35}\b|\b[sr]k_live_[0-9a-zA-Z]{24,}|"(api_?key|secret|client_secret|private_key|access_?key)"\s*:\s*"[^"\s]{12,}")/i;
+const INTERNAL_IP_RE = /\b(10\.\d{1,3}\.\d{1,3}\.\d{1,3}|172\.(1[6-9]|2\d|3[01])\.\d{1,3}\.\d{1,3}|192\.168\.\d{1,3}\.\d{1,3})\b/;
+export function getHeader(headers, name) {
+	const h = (headers || []).find(x => x.name?.toLowerCase() === name.toLowerCase());
+	return h?.value || '';
+}
+export function hasHeader(headers, name, re) {
+	const v = getHeader(headers, name);
+	return re ? re.test(v) : !!v;
+}
+
+export const RULES = [
+	{ id: 'AUTH_LOGIN', label: 'AUTH', weight: 30, test: (r) => pathRe('/(login|signin|auth|oauth|oidc|saml|token|sessions?)').test(r.path) },
+	{ id: 'AUTH_TOKEN', label: 'AUTH', weight: 20, test: (r) => hasHeader(r.reqHeaders, 'Authorization') || /(^|;)\s*session/i.test(r.reqCookie || '') },
+	{ id: 'OAUTH', label: 'OAUTH', weight: 25, test: (r) => pathRe('/(authorize|callback)').test(r.path) || /openid|scope/i.test(r.query || '') },
+	{ id: 'ACCOUNT', label: 'ACCOUNT', weight: 15, test: (r) => pathRe('/(me|profile|account|settings|user|reset-password)').test(r.path) },
+	{ id: 'FILE_UPLOAD', label: 'UPLOAD', weight: 20, test: (r) => pathRe('/(upload|import)').test(r.path) || hasHeader(r.reqHeaders, 'Content-Type', /multipart\/form-data/i) },
+	{ id: 'ADMIN_PATH', label: 'ADMIN', weight: 25, test: (r) => pathRe('/(admin|root|debug|status|metrics|actuator|health|graphiql|playground)').test(r.path) },
+	{ id: 'GRAPHQL', label: 'GRAPHQL', weight: 20, test: (r) => pathRe('/graphql').test(r.path) || hasHeader(r.reqHeaders, 'Content-Type', /graphql/i) },
+	{ id: 'WEBSOCKET', label: 'WS', weight: 20, test: (r) => hasHeader(r.reqHeaders, 'Upgrade', /websocket/i) || /^wss?:\/\//i.test(r.url) },
+	{ id: 'CORS_WIDE', label: 'CORS', weight: 10, test: (r) => hasHeader(r.resHeaders, 'Access-Control-Allow-Origin', /^\s*\*\s*$/) },
+	// Response security headers and cookie flags (see auditResponse)
+	{ id: 'CORS_CREDS', label: 'CORS-CREDS', weight: 30, test: auditIssue('CORS-CREDS') },
+	{ id: 'CSP_AUDIT', label: 'CSP', weight: 5, test: auditIssue('CSP') },
+	{ id: 'HSTS_AUDIT', label: 'HSTS', weight: 5, test: auditIssue('HSTS') },
+	{ id: 'CLICKJACK', label: 'CLICKJACK', weight: 5, test: auditIssue('CLICKJACK') },
+	{ id: 'NOSNIFF', label: 'NOSNIFF', weight: 2, test: auditIssue('NOSNIFF') },
+	{ id: 'REFERRER_POLICY', label: 'REFERRER', weight: 2, test: auditIssue('REFERRER') },
+	{ id: 'PERMISSIONS_POLICY', label: 'PERMISSIONS', weight: 2, test: auditIssue('PERMISSIONS') },
+	{ id: 'COOKIE_FLAGS', label: 'COOKIE-FLAGS', weight: 10, test: (r) => r.audit.cookies.length > 0 },
+	{ id: 'SENSITIVE_PARAMS', label: 'SENSITIVE', weight: 20, test: (r) => SENSITIVE_PARAM_RE.test(r.query || '') || SENSITIVE_PARAM_RE.test(r.bodyText || '') },
+	{ id: 'PII', label: 'PII', weight: 25, test: (r) => [r.resBody, r.bodyText].some(b => /\b[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\b/.test(b || '') || /\b\d{3}-\d{2}-\d{4}\b/.test(b || '')) }, // email or SSN in response or request body
+	{ id: 'TECH', label: 'TECH', weight: 10, test: (r) => hasHeader(r.resHeaders, 'Server') || hasHeader(r.resHeaders, 'X-Powered-By') },
+	{ id: 'FRAMEWORK', label: 'FRAMEWORK', weight: 10, test: (r) => hasHeader(r.resHeaders, 'X-AspNet-Version') || /react|angular|vue/i.test(r.resBody || '') },
+	{ id: 'CDN', label: 'CDN', weight: 5, test: (r) => /cloudfront|akamai|fastly/i.test(r.host) },
+	{ id: 'ERROR_STATUS', label: 'ERROR', weight: 10, test: (r) => (r.status || 0) >= 400 },
+	{ id: 'RATE_LIMIT', label: 'RATE-LIMIT', weight: 18, test: (r) => !!r.recent429 },
+	// JWTs found anywhere in the request or response (see analyzeJwts)
+	{ id: 'JWT', label: 'JWT', weight: 5, test: (r) => r.jwts.length > 0 },
+	{ id: 'JWT_ALG_NONE', label: 'JWT-NONE', weight: 40, test: jwtIssue('JWT-NONE') },
+	{ id: 'JWT_HS256', label: 'JWT-HS256', weight: 10, test: jwtIssue('JWT-HS256') },
+	{ id: 'JWT_NO_EXP', label: 'JWT-NO-EXP', weight: 15, test: jwtIssue('JWT-NO-EXP') },
+	{ id: 'JWT_LONG_EXP', label: 'JWT-LONG-EXP', weight: 10, test: jwtIssue('JWT-LONG-EXP') },
+	{ id: 'JWT_EXPIRED_ACCEPTED', label: 'JWT-EXPIRED-OK', weight: 35, test: jwtIssue('JWT-EXPIRED-OK') },
+	{ id: 'JWT_KID', label: 'JWT-KID', weight: 15, test: jwtIssue('JWT-KID') },
+	{ id: 'JWT_JKU', label: 'JWT-JKU', weight: 25, test: jwtIssue('JWT-JKU') },
+	{ id: 'JWT_REUSED', label: 'JWT-REUSED', weight: 15, test: jwtIssue('JWT-REUSED') },
+	// Response body rules (only fire when response body capture is enabled for the host)
+	{ id: 'STACK_TRACE', label: 'STACKTRACE', weight: 20, test: (r) => STACK_TRACE_RE.test(r.resBody || '') },
+	{ id: 'SQL_ERROR', label: 'SQL-ERROR', weight: 30, test: (r) => SQL_ERROR_RE.test(r.resBody || '') },
+	{ id: 'SECRET', label: 'SECRET', weight: 35, test: (r) => SECRET_RE.test(r.resBody || '') },
+	{ id: 'INTERNAL_IP', label: 'INTERNAL-IP', weight: 15, test: (r) => INTERNAL_IP_RE.test(r.resBody || '') },
+	{ id: 'EXPORT_DOWNLOAD', label: 'EXPORT', weight: 10, test: (r) => pathRe('/(export|download)').test(r.path) || /\.(csv|xlsx?|zip)$/i.test(r.path) },
+	// Cross-request findings (see correlate)
+	{ id: 'IDOR_CANDIDATE', label: 'IDOR', weight: 20, test: hasFinding('IDOR') },
+	{ id: 'AUTHZ_DIFF', label: 'AUTHZ-DIFF', weight: 15, test: hasFinding('AUTHZ-DIFF') },
+	{ id: 'NO_RATE_LIMIT', label: 'NO-RATE-LIMIT', weight: 20, test: hasFinding('NO-RATE-LIMIT') },
+	{ id: 'TOKEN_IN_URL', label: 'TOKEN-IN-URL', weight: 30, test: hasFinding('TOKEN-IN-URL') },
+	{ id: 'ERROR_SPIKE', label: 'ERROR-SPIKE', weight: 10, test: hasFinding('ERROR-SPIKE') },
+];
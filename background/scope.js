@@ -0,0 +1,45 @@
+import { startup } from './startup.js';
+
+// --- Scope -------------------------------------------------------------------
+// Burp-style project scope: a request is in scope when it matches at least one include
+// pattern (or there are none) and no exclude pattern. Patterns are `host[/path]` globs,
+// e.g. `*.example.com/api/*`; `*` matches any run of characters, the path defaults to
+// any path, and a leading scheme is ignored. Out-of-scope requests are never stored.
+export let scope = { include: [], exclude: [] };
+export let scopeMatchers = { include: [], exclude: [] };
+
+function globToRegExp(glob) {
+	return new RegExp('^' + globSource(glob, '.*') + '$', 'i');
+}
+
+function globSource(glob, star) {
+	return glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join(star);
+}
+
+function parseScopePattern(pattern) {
+	const text = String(pattern || '').trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+	if (!text) return null;
+	const slash = text.indexOf('/');
+	const host = slash < 0 ? text : text.slice(0, slash);
+	const path = slash < 0 ? '*' : text.slice(slash);
+	// urlRegex is the same test on a full URL, for declarativeNetRequest regexFilter
+	const urlRegex = '^[a-z][a-z0-9+.-]*://' + globSource(host || '*', '[^/]*') + '(:[0-9]+)?' + globSource(path, '.*') + '([?#].*)?$';
+	return { pattern: text, host: globToRegExp(host || '*'), path: globToRegExp(path), urlRegex };
+}
+
+export function setScope(next) {
+	const clean = list => Array.from(new Set((list || []).map(p => String(p).trim()).filter(Boolean)));
+	scope = { include: clean(next.include), exclude: clean(next.exclude) };
+	scopeMatchers = { include: scope.include.map(parseScopePattern).filter(Boolean), exclude: scope.exclude.map(parseScopePattern).filter(Boolean) };
+}
+
+startup.push(chrome.storage.local.get(['scope']).then(res => { if (res?.scope) setScope(res.scope); }));
+
+export function inScope(url) {
+	let u;
+	try { u = new URL(url); } catch (e) { return false; }
+	// Host patterns may name a port, so match against host with and without it
+	const matches = m => (m.host.test(u.host) || m.host.test(u.hostname)) && m.path.test(u.pathname);
+	if (scopeMatchers.include.length && !scopeMatchers.include.some(matches)) return false;
+	return !scopeMatchers.exclude.some(matches);
+}
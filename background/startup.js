@@ -0,0 +1,3 @@
+// Settings loads that must finish before events are handled (see restoreState in worker.js).
+// Modules push onto it while they are evaluated, so it lives in a module of its own.
+export const startup = [];
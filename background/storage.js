@@ -0,0 +1,380 @@
+import { notifyChanged, notifyRemoved, resetPorts } from './panels.js';
+import { SORTS } from './query.js';
+
+// --- Persistent capture storage (IndexedDB) --------------------------------
+// Entries are stored per named session, keyed by [sessionId, id]. `store` only holds
+// recent entries so late webRequest events can be merged without a DB round-trip;
+// every mutation is queued with persist() and written in batches.
+const DB_NAME = 'http-analyzer';
+const DB_VERSION = 1;
+const DEFAULT_RETENTION = { maxCount: 20000, maxBytes: 200 * 1024 * 1024 };
+export let retention = Object.assign({}, DEFAULT_RETENTION);
+export let activeSessionId = null;
+let dbPromise = null;
+
+// In-memory hot cache of the most recent entries (the full capture lives in IndexedDB)
+export let store = [];
+export const LIVE_ITEMS = 200;
+export const PAGE_SIZE = 50;
+
+function openDb() {
+	if (!dbPromise) {
+		dbPromise = new Promise((resolve, reject) => {
+			const req = indexedDB.open(DB_NAME, DB_VERSION);
+			req.onupgradeneeded = () => {
+				const db = req.result;
+				if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'id' });
+				if (!db.objectStoreNames.contains('entries')) {
+					const entries = db.createObjectStore('entries', { keyPath: ['sessionId', 'id'] });
+					entries.createIndex('session', ['sessionId', 'timestamp']);
+				}
+			};
+			req.onsuccess = () => resolve(req.result);
+			req.onerror = () => reject(req.error);
+		});
+	}
+	return dbPromise;
+}
+
+// Run fn(transaction) and resolve with its return value once the transaction commits.
+// fn must issue its requests synchronously, otherwise the transaction auto-commits.
+export async function withDb(storeNames, mode, fn) {
+	const db = await openDb();
+	return new Promise((resolve, reject) => {
+		const t = db.transaction(storeNames, mode);
+		const result = {};
+		fn(t, result);
+		t.oncomplete = () => resolve(result.value);
+		t.onerror = () => reject(t.error);
+		t.onabort = () => reject(t.error);
+	});
+}
+
+// Every key that starts with sessionId: [sessionId] sorts before any [sessionId, x] and
+// [sessionId, []] after it (arrays are the highest key type), so this covers both the
+// primary key [sessionId, id] and the index key [sessionId, timestamp].
+export function sessionRange(sessionId) {
+	return IDBKeyRange.bound([sessionId], [sessionId, []]);
+}
+
+// Approximate stored size: JSON size plus raw request body bytes (ArrayBuffers stringify as {})
+function entrySize(e) {
+	let size = JSON.stringify(e).length;
+	(e.requestBody?.raw || []).forEach(p => { if (p.bytes) size += p.bytes.byteLength; });
+	return size;
+}
+
+export function listSessions() {
+	return withDb('sessions', 'readonly', (t, out) => {
+		t.objectStore('sessions').getAll().onsuccess = ev => {
+			out.value = ev.target.result.sort((a, b) => a.created - b.created);
+		};
+	});
+}
+
+export async function createSession(name) {
+	const session = { id: 'S' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name: name || ('Session ' + new Date().toLocaleString()), created: Date.now(), count: 0, bytes: 0 };
+	await withDb('sessions', 'readwrite', t => { t.objectStore('sessions').put(session); });
+	return session;
+}
+
+export async function renameSession(id, name) {
+	return withDb('sessions', 'readwrite', (t, out) => {
+		const os = t.objectStore('sessions');
+		os.get(id).onsuccess = ev => {
+			const session = ev.target.result;
+			if (session) { session.name = name; os.put(session); }
+			out.value = !!session;
+		};
+	});
+}
+
+export async function clearSessionEntries(id) {
+	await flush();
+	if (id === activeSessionId) store = [];
+	await withDb(['sessions', 'entries'], 'readwrite', t => {
+		t.objectStore('entries').delete(sessionRange(id));
+		const os = t.objectStore('sessions');
+		os.get(id).onsuccess = ev => {
+			const session = ev.target.result;
+			if (session) { session.count = 0; session.bytes = 0; os.put(session); }
+		};
+	});
+	if (id === activeSessionId) resetPorts();
+}
+
+export async function deleteSession(id) {
+	await clearSessionEntries(id);
+	await withDb('sessions', 'readwrite', t => { t.objectStore('sessions').delete(id); });
+	if (id === activeSessionId) {
+		const remaining = await listSessions();
+		await switchSession(remaining.length ? remaining[remaining.length - 1].id : (await createSession()).id);
+	}
+}
+
+export async function switchSession(id) {
+	await flush();
+	activeSessionId = id;
+	store = [];
+	chrome.storage.local.set({ activeSessionId: id });
+	resetPorts();
+}
+
+// Queue an entry for writing; writes are batched and serialized through `flushing`
+const dirty = new Set();
+const storedSize = new WeakMap(); // entry -> size at last write (undefined = never written)
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+export function persist(entry) {
+	dirty.add(entry);
+	notifyChanged(entry);
+	if (!flushTimer) flushTimer = setTimeout(flush, 500);
+}
+
+export function flush() {
+	clearTimeout(flushTimer);
+	flushTimer = null;
+	flushing = flushing.then(writeDirty).catch(e => console.error('[HTTP Analyzer] Storage error:', e));
+	return flushing;
+}
+
+async function writeDirty() {
+	if (!dirty.size) return;
+	await ready;
+	const batch = Array.from(dirty);
+	dirty.clear();
+	// Entries captured before storage init finished belong to the session that init picked
+	batch.forEach(e => { if (!e.sessionId) e.sessionId = activeSessionId; });
+	const sessionIds = new Set(batch.map(e => e.sessionId));
+	await withDb(['sessions', 'entries'], 'readwrite', t => {
+		const sessions = t.objectStore('sessions');
+		const entries = t.objectStore('entries');
+		for (const id of sessionIds) {
+			sessions.get(id).onsuccess = ev => {
+				const session = ev.target.result;
+				if (!session) return; // session deleted while the entry was in flight
+				for (const e of batch.filter(x => x.sessionId === id)) {
+					const size = entrySize(e);
+					const prev = storedSize.get(e);
+					session.count += prev === undefined ? 1 : 0;
+					session.bytes += size - (prev || 0);
+					storedSize.set(e, size);
+					entries.put(e);
+				}
+				sessions.put(session);
+			};
+		}
+	});
+	for (const id of sessionIds) await enforceRetention(id);
+}
+
+// Drop the oldest entries of a session until it fits the count and byte limits
+export async function enforceRetention(sessionId) {
+	const dropped = [];
+	await withDb(['sessions', 'entries'], 'readwrite', t => {
+		const sessions = t.objectStore('sessions');
+		sessions.get(sessionId).onsuccess = ev => {
+			const session = ev.target.result;
+			if (!session || (session.count <= retention.maxCount && session.bytes <= retention.maxBytes)) return;
+			const req = t.objectStore('entries').index('session').openCursor(sessionRange(sessionId));
+			req.onsuccess = () => {
+				const cur = req.result;
+				if (cur && (session.count > retention.maxCount || session.bytes > retention.maxBytes)) {
+					session.count--;
+					session.bytes -= entrySize(cur.value);
+					dropped.push(cur.value.id);
+					cur.delete();
+					cur.continue();
+				} else {
+					session.count = Math.max(0, session.count);
+					session.bytes = Math.max(0, session.bytes);
+					sessions.put(session);
+				}
+			};
+		};
+	});
+	notifyRemoved(sessionId, dropped);
+}
+
+// Newest-first page of a session. With a filter the whole session is scanned,
+// but only the requested page is kept in memory. Any other sort (see SORTS) keeps just
+// the sort value and key of each match and loads the page afterwards.
+export async function queryEntries(sessionId, { offset = 0, limit = PAGE_SIZE, filter = null, sort = null } = {}) {
+	await flush();
+	const order = SORTS[sort] || null;
+	return withDb('entries', 'readonly', (t, out) => {
+		const entries = t.objectStore('entries');
+		const index = entries.index('session');
+		const data = [];
+		let total = 0;
+		out.value = { data, total, offset, limit };
+		if (order) {
+			const keys = [];
+			const req = index.openCursor(sessionRange(sessionId), order.cursor || 'prev');
+			req.onsuccess = () => {
+				const cur = req.result;
+				if (cur) {
+					if (!filter || filter(cur.value)) keys.push({ value: order.value(cur.value), key: cur.primaryKey });
+					cur.continue();
+					return;
+				}
+				// Array.prototype.sort is stable, so ties keep cursor order (newest first)
+				keys.sort((a, b) => a.value < b.value ? -order.dir : a.value > b.value ? order.dir : 0);
+				out.value.total = keys.length;
+				keys.slice(offset, offset + limit).forEach((k, i) => {
+					entries.get(k.key).onsuccess = ev => { data[i] = ev.target.result; };
+				});
+			};
+			return;
+		}
+		if (!filter) {
+			index.count(sessionRange(sessionId)).onsuccess = ev => { out.value.total = ev.target.result; };
+		}
+		let skipped = !offset || !!filter;
+		const req = index.openCursor(sessionRange(sessionId), 'prev');
+		req.onsuccess = () => {
+			const cur = req.result;
+			if (!cur) { if (filter) out.value.total = total; return; }
+			if (!skipped) { skipped = true; cur.advance(offset); return; }
+			if (!filter) {
+				data.push(cur.value);
+				if (data.length < limit) cur.continue();
+				return;
+			}
+			if (filter(cur.value)) {
+				if (total >= offset && data.length < limit) data.push(cur.value);
+				total++;
+			}
+			cur.continue();
+		};
+	});
+}
+
+// Single entry by id: hot cache first, then the session in IndexedDB
+export async function loadEntry(sessionId, id) {
+	const live = store.find(r => r.id === id && r.sessionId === sessionId);
+	if (live) return live;
+	await flush();
+	const entry = await withDb('entries', 'readonly', (t, out) => {
+		t.objectStore('entries').get([sessionId, id]).onsuccess = ev => { out.value = ev.target.result || null; };
+	});
+	// Remember its stored size so a later persist() counts as an update, not a new entry
+	if (entry) storedSize.set(entry, entrySize(entry));
+	return entry;
+}
+
+// Stream every entry of a session (oldest first) through fn without loading them all
+export async function forEachEntry(sessionId, fn) {
+	await flush();
+	return withDb('entries', 'readonly', t => {
+		const req = t.objectStore('entries').index('session').openCursor(sessionRange(sessionId));
+		req.onsuccess = () => {
+			const cur = req.result;
+			if (!cur) return;
+			fn(cur.value);
+			cur.continue();
+		};
+	});
+}
+
+// Every entry of a session in one read, newest first (exports). Read only: persist
+// entries from recentEntries() or loadEntry() instead, which know their stored size.
+export async function getAllEntries(sessionId) {
+	await flush();
+	return withDb('entries', 'readonly', (t, out) => {
+		t.objectStore('entries').index('session').getAll(sessionRange(sessionId)).onsuccess = ev => {
+			out.value = ev.target.result.reverse();
+		};
+	});
+}
+
+// Per-host roll-up of the response audit
+export async function hostSummary(sessionId) {
+	const hosts = new Map();
+	await forEachEntry(sessionId, e => {
+		if (!e.response || !e.host) return;
+		let h = hosts.get(e.host);
+		if (!h) { h = { host: e.host, responses: 0, issues: {}, cookies: {} }; hosts.set(e.host, h); }
+		h.responses++;
+		const audit = e.audit || { issues: [], cookies: [] };
+		audit.issues.forEach(i => {
+			const key = i.code + '|' + i.detail;
+			if (!h.issues[key]) h.issues[key] = { code: i.code, detail: i.detail, count: 0, example: e.url };
+			h.issues[key].count++;
+		});
+		audit.cookies.forEach(c => {
+			h.cookies[c.name] = Array.from(new Set((h.cookies[c.name] || []).concat(c.missing)));
+		});
+	});
+	return Array.from(hosts.values()).map(h => ({
+		host: h.host,
+		responses: h.responses,
+		issues: Object.values(h.issues).sort((a, b) => a.code.localeCompare(b.code)),
+		cookies: Object.entries(h.cookies).map(([name, missing]) => ({ name, missing }))
+	})).sort((a, b) => (b.issues.length + b.cookies.length) - (a.issues.length + a.cookies.length) || a.host.localeCompare(b.host));
+}
+
+// Load settings and make sure there is an active session before anything is written
+export const ready = new Promise(resolve => {
+	chrome.storage.local.get(['activeSessionId', 'retention'], async (res) => {
+		try {
+			if (res && res.retention) retention = Object.assign({}, DEFAULT_RETENTION, res.retention);
+			const sessions = await listSessions();
+			const found = res && sessions.find(x => x.id === res.activeSessionId);
+			activeSessionId = found ? found.id : (sessions.length ? sessions[sessions.length - 1].id : (await createSession()).id);
+			chrome.storage.local.set({ activeSessionId });
+		} catch (e) {
+			console.error('[HTTP Analyzer] Storage init failed:', e);
+		}
+		resolve();
+	});
+});
+
+export function setRetention(def) {
+	const maxCount = Math.max(1, parseInt(def.maxCount, 10) || DEFAULT_RETENTION.maxCount);
+	const maxBytes = Math.max(1024 * 1024, parseInt(def.maxBytes, 10) || DEFAULT_RETENTION.maxBytes);
+	retention = { maxCount, maxBytes };
+}
+
+// Newest entries of a session, newest first. They are already stored, so their sizes
+// count as written and persisting one of them later is an update, not a new entry.
+export async function recentEntries(sessionId, limit) {
+	await flush();
+	const entries = await withDb('entries', 'readonly', (t, out) => {
+		out.value = [];
+		const req = t.objectStore('entries').index('session').openCursor(sessionRange(sessionId), 'prev');
+		req.onsuccess = () => {
+			const cur = req.result;
+			if (!cur || out.value.length >= limit) return;
+			out.value.push(cur.value);
+			cur.continue();
+		};
+	});
+	entries.forEach(e => storedSize.set(e, entrySize(e)));
+	return entries;
+}
+
+// Entries of a session sent before `to` (and at or after `from`, if given) that pass
+// filter, oldest first. Streamed, so only the matches are kept; sizes as in recentEntries().
+export async function entriesBefore(sessionId, to, { from = null, filter = null } = {}) {
+	await flush();
+	const entries = await withDb('entries', 'readonly', (t, out) => {
+		out.value = [];
+		const range = IDBKeyRange.bound(from == null ? [sessionId] : [sessionId, from], [sessionId, to], false, true);
+		const req = t.objectStore('entries').index('session').openCursor(range);
+		req.onsuccess = () => {
+			const cur = req.result;
+			if (!cur) return;
+			if (!filter || filter(cur.value)) out.value.push(cur.value);
+			cur.continue();
+		};
+	});
+	entries.forEach(e => storedSize.set(e, entrySize(e)));
+	return entries;
+}
+
+// Refill `store` after the worker restarts
+export async function reloadLiveEntries() {
+	store = await recentEntries(activeSessionId, LIVE_ITEMS);
+}
@@ -0,0 +1,120 @@
+import { classify } from './capture.js';
+import { RULES, hasHeader } from './rules.js';
+import { startup } from './startup.js';
+import { store } from './storage.js';
+
+// --- User-defined rules ----------------------------------------------------
+// Declarative rules stored in chrome.storage.local and evaluated after RULES.
+// All conditions present in `match` must hold; regexes are case-insensitive:
+// {
+//   id: 'acme-internal', label: 'INTERNAL', weight: 25, severity: 'high', enabled: true,
+//   match: {
+//     method: 'POST' | ['POST', 'PUT'],
+//     host: 'regex', path: 'regex', query: 'regex', body: 'regex',
+//     header: { name: 'X-Api-Key', value: 'regex (optional)' },
+//     status: 500 | '4xx' | '500-599' | { min: 500, max: 599 },
+//     resHeader: { name: 'Server', value: 'regex (optional)' }
+//   }
+// }
+export const SEVERITIES = ['info', 'low', 'medium', 'high', 'critical'];
+const MATCH_KEYS = ['method', 'host', 'path', 'query', 'header', 'body', 'status', 'resHeader'];
+export let userRuleDefs = [];   // as stored (plain JSON)
+export let userRules = [];      // compiled, same order as userRuleDefs
+export let disabledRules = new Set(); // rule ids (built-in or user) switched off
+export let ruleHits = {};       // rule id -> number of entries it matched
+let ruleHitsTimer = null;
+
+function statusBounds(v, id) {
+	if (typeof v === 'number') return [v, v];
+	if (v && typeof v === 'object') return [Number(v.min) || 0, Number(v.max) || 999];
+	const s = String(v).trim();
+	let m;
+	if ((m = /^([1-5])xx$/i.exec(s))) return [m[1] * 100, m[1] * 100 + 99];
+	if ((m = /^(\d{3})\s*-\s*(\d{3})$/.exec(s))) return [+m[1], +m[2]];
+	if (/^\d{3}$/.test(s)) return [+s, +s];
+	throw new Error(id + ': status must be a code, "4xx", "500-599" or {min, max}');
+}
+
+function compileUserRule(def) {
+	if (!def || typeof def !== 'object') throw new Error('Rule must be a JSON object');
+	const id = String(def.id || '').trim();
+	if (!id) throw new Error('Rule is missing an id');
+	if (RULES.some(r => r.id === id)) throw new Error(id + ': id is taken by a built-in rule');
+	const label = String(def.label || '').trim().toUpperCase();
+	if (!label) throw new Error(id + ': label is required');
+	const m = def.match || {};
+	const unknown = Object.keys(m).filter(k => !MATCH_KEYS.includes(k));
+	if (unknown.length) throw new Error(id + ': unknown match field(s) ' + unknown.join(', '));
+	const re = (v, field) => {
+		try { return new RegExp(String(v), 'i'); }
+		catch (e) { throw new Error(id + ': invalid ' + field + ' regex - ' + e.message); }
+	};
+	const headerTest = (h, field) => {
+		if (!h || !h.name) throw new Error(id + ': ' + field + ' needs a name');
+		return { name: String(h.name), value: h.value != null && h.value !== '' ? re(h.value, field + ' value') : null };
+	};
+	const tests = [];
+	if (m.method) { const methods = [].concat(m.method).map(x => String(x).toUpperCase()); tests.push(r => methods.includes(r.method.toUpperCase())); }
+	if (m.host) { const hostRe = re(m.host, 'host'); tests.push(r => hostRe.test(r.host)); }
+	if (m.path) { const pathMatch = re(m.path, 'path'); tests.push(r => pathMatch.test(r.path)); }
+	if (m.query) { const queryRe = re(m.query, 'query'); tests.push(r => queryRe.test(r.query)); }
+	if (m.body) { const bodyRe = re(m.body, 'body'); tests.push(r => bodyRe.test(r.bodyText)); }
+	if (m.header) { const h = headerTest(m.header, 'header'); tests.push(r => hasHeader(r.reqHeaders, h.name, h.value)); }
+	if (m.resHeader) { const h = headerTest(m.resHeader, 'resHeader'); tests.push(r => hasHeader(r.resHeaders, h.name, h.value)); }
+	if (m.status != null) { const [min, max] = statusBounds(m.status, id); tests.push(r => r.status >= min && r.status <= max); }
+	if (!tests.length) throw new Error(id + ': match needs at least one condition');
+	return {
+		id, label,
+		weight: Number(def.weight) || 0,
+		severity: SEVERITIES.includes(def.severity) ? def.severity : 'info',
+		user: true,
+		test: (r) => tests.every(t => t(r))
+	};
+}
+
+// Normalized copy of a definition as it is stored and exported
+function normalizeRuleDef(def) {
+	const rule = compileUserRule(def);
+	return { id: rule.id, label: rule.label, weight: rule.weight, severity: rule.severity, match: def.match };
+}
+
+export function setUserRules(defs) {
+	userRuleDefs = defs;
+	userRules = defs.map(compileUserRule);
+	chrome.storage.local.set({ userRules: userRuleDefs, disabledRules: Array.from(disabledRules) });
+	// Re-tag what is still in the hot cache so the panel reflects the change
+	store.forEach(classify);
+}
+
+// Merge definitions by id; throws (without changing anything) if any rule is invalid
+export function upsertUserRules(defs) {
+	const norms = defs.map(normalizeRuleDef);
+	const next = userRuleDefs.slice();
+	norms.forEach((norm, n) => {
+		const i = next.findIndex(x => x.id === norm.id);
+		if (i >= 0) next[i] = norm; else next.push(norm);
+		if (defs[n].enabled === false) disabledRules.add(norm.id); else if (defs[n].enabled === true) disabledRules.delete(norm.id);
+	});
+	setUserRules(next);
+}
+
+export function countRuleHit(id) {
+	ruleHits[id] = (ruleHits[id] || 0) + 1;
+	if (!ruleHitsTimer) ruleHitsTimer = setTimeout(() => { ruleHitsTimer = null; chrome.storage.local.set({ ruleHits }); }, 2000);
+}
+
+export function resetRuleHits() {
+	ruleHits = {};
+	chrome.storage.local.set({ ruleHits });
+}
+
+startup.push(chrome.storage.local.get(['userRules', 'disabledRules', 'ruleHits']).then(res => {
+	disabledRules = new Set((res && res.disabledRules) || []);
+	ruleHits = (res && res.ruleHits) || {};
+	userRuleDefs = [];
+	userRules = [];
+	for (const def of (res && res.userRules) || []) {
+		try { userRules.push(compileUserRule(def)); userRuleDefs.push(def); }
+		catch (e) { console.error('[HTTP Analyzer] Skipping invalid user rule:', e.message); }
+	}
+}));
@@ -0,0 +1,91 @@
+import { RECENT_429_WINDOW_MS, recent429, recent429Times } from './capture.js';
+import { correlatedFrom } from './correlation.js';
+import { syncAllDebuggers } from './debugger.js';
+import { intercept, setIntercept, syncReplaceRules } from './intercept.js';
+import { jwtHosts } from './jwt.js';
+import { activePanelPosition, activeTabs, filterDomain, setFilterDomain } from './panels.js';
+import { startup } from './startup.js';
+import { ready, reloadLiveEntries } from './storage.js';
+
+// --- Service worker state -----------------------------------------------------
+// The worker is stopped when idle and a fresh one handles the next event. Panel tabs,
+// panel sides, the domain filter, intercept on/off, the 429 windows, the hosts each JWT
+// was sent to and where each session's correlation window starts are mirrored to
+// chrome.storage.session (kept until the browser closes); the live entry cache is
+// reloaded from IndexedDB. Listeners are registered synchronously at startup, and
+// whenRestored queues their events, in order, until all of that is back.
+const STATE_KEY = 'workerState';
+let stateTimer = null;
+let isRestored = false;
+export let restored = null;
+
+export function saveState() {
+	if (stateTimer) return;
+	stateTimer = setTimeout(() => {
+		stateTimer = null;
+		chrome.storage.session.set({ [STATE_KEY]: {
+			activeTabs: Array.from(activeTabs),
+			positions: Array.from(activePanelPosition),
+			filterDomain,
+			interceptEnabled: intercept.enabled,
+			recent429Times: Array.from(recent429Times),
+			jwtHosts: Array.from(jwtHosts, ([token, hosts]) => [token, Array.from(hosts)]),
+			correlatedFrom: Array.from(correlatedFrom)
+		} });
+	}, 100);
+}
+
+async function restoreState() {
+	await Promise.all(startup);
+	await ready;
+	const res = await chrome.storage.session.get(STATE_KEY);
+	const state = res && res[STATE_KEY];
+	if (state) {
+		state.activeTabs.forEach(id => activeTabs.add(id));
+		state.positions.forEach(([id, side]) => activePanelPosition.set(id, side));
+		setFilterDomain(state.filterDomain);
+		const now = Date.now();
+		state.recent429Times.forEach(([key, times]) => {
+			const live = times.filter(ts => ts > now - RECENT_429_WINDOW_MS);
+			if (live.length) { recent429Times.set(key, live); recent429.set(key, live.length); }
+		});
+		(state.jwtHosts || []).forEach(([token, hosts]) => jwtHosts.set(token, new Set(hosts)));
+		(state.correlatedFrom || []).forEach(([sessionId, from]) => correlatedFrom.set(sessionId, from));
+		if (state.interceptEnabled) setIntercept(Object.assign({}, intercept, { enabled: true }));
+	}
+	await reloadLiveEntries();
+	await syncReplaceRules().catch(e => console.error('[HTTP Analyzer] Replace rules not applied:', e.message));
+	syncAllDebuggers();
+}
+
+// Called by background.js once every module has registered its listeners and settings loads
+export function startWorker() {
+	restored = restoreState()
+		.catch(e => console.error('[HTTP Analyzer] Restoring worker state failed:', e))
+		.then(() => { isRestored = true; });
+	return restored;
+}
+
+// Wraps a listener so events that arrive before restoreState() has finished wait for it.
+// Returns true for deferred calls, which keeps a runtime.onMessage channel open.
+export function whenRestored(fn) {
+	return (...args) => {
+		if (isRestored) return fn(...args);
+		restored.then(() => fn(...args));
+		return true;
+	};
+}
+
+// Periodic cleanup of recent429Times to keep memory bounded. Timers do not survive
+// the worker being stopped, so this runs on an alarm.
+chrome.alarms.create('prune429', { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener(whenRestored(alarm => {
+	if (alarm.name !== 'prune429') return;
+	const now = Date.now();
+	for (const [key, arr] of recent429Times.entries()) {
+		const pruned = arr.filter(ts => ts > now - RECENT_429_WINDOW_MS);
+		if (pruned.length) recent429Times.set(key, pruned);
+		else { recent429Times.delete(key); recent429.delete(key); }
+	}
+	saveState();
+}));
@@ -0,0 +1,60 @@
+// Frames the panel page (panel.html) into the inspected page. The frame lives in a closed
+// shadow root, so page CSS and scripts cannot reach it, and the panel itself runs as an
+// extension page, so the page's CSP does not apply to it. The only change to the page is
+// a margin on <html> that keeps the panel from covering content. panel.html is web
+// accessible (behind a per-session dynamic URL), so the frame proves it is ours with a
+// one-time key registered with the worker first (see panel.js).
+(function(){
+	// Content-script globals are not visible to the page
+	if (window.__httpAnalyzerFrame) return;
+	const PANEL_WIDTH = 500;
+	const PAGE_MARGIN = 480;
+	const panelUrl = chrome.runtime.getURL('panel.html');
+	// The dynamic URL's origin need not be the one the loaded panel reports
+	const panelOrigins = [new URL(panelUrl).origin, 'chrome-extension://' + chrome.runtime.id];
+	const html = document.documentElement;
+	const saved = { left: html.style.marginLeft, right: html.style.marginRight };
+
+	const host = document.createElement('http-analyzer-panel');
+	const shadow = host.attachShadow({ mode: 'closed' });
+	shadow.innerHTML = '<style>:host{all:initial;}</style>';
+	const frame = document.createElement('iframe');
+	frame.setAttribute('style', 'position:fixed;top:0;width:' + PANEL_WIDTH + 'px;height:100vh;border:0;margin:0;padding:0;z-index:2147483647;background:#0a0a0a;');
+	shadow.appendChild(frame);
+
+	function place(side){
+		const left = side === 'left';
+		frame.style.left = left ? '0' : '';
+		frame.style.right = left ? '' : '0';
+		frame.style.borderLeft = left ? '' : '3px solid #00ff41';
+		frame.style.borderRight = left ? '3px solid #00ff41' : '';
+		frame.style.boxShadow = (left ? '4px' : '-4px') + ' 0 16px rgba(0,0,0,.6)';
+		html.style.marginLeft = left ? PAGE_MARGIN + 'px' : saved.left;
+		html.style.marginRight = left ? saved.right : PAGE_MARGIN + 'px';
+	}
+
+	function remove(){
+		window.removeEventListener('message', onMessage);
+		host.remove();
+		html.style.marginLeft = saved.left;
+		html.style.marginRight = saved.right;
+		window.__httpAnalyzerFrame = null;
+	}
+
+	// Only the panel frame may move or close it
+	function onMessage(ev){
+		if (ev.source !== frame.contentWindow || !panelOrigins.includes(ev.origin)) return;
+		const msg = ev.data || {};
+		if (msg.httpAnalyzer === 'side') place(msg.side);
+		else if (msg.httpAnalyzer === 'close') remove();
+	}
+	window.addEventListener('message', onMessage);
+
+	place('right');
+	chrome.runtime.sendMessage({action:'getPosition'}, res => { if (res && res.value) place(res.value); });
+	html.appendChild(host);
+	window.__httpAnalyzerFrame = { remove };
+	// randomUUID() needs a secure context, which http: pages are not
+	const key = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+	chrome.runtime.sendMessage({action:'registerFrame', key}, res => { if (res && res.ok) frame.src = panelUrl + '#' + key; });
+})();
@@ -0,0 +1,2 @@
+// DevTools host: the panel page bound to the inspected tab
+chrome.devtools.panels.create('HTTP Analyzer', '', 'panel.html?host=devtools&tabId=' + chrome.devtools.inspectedWindow.tabId);
@@ -0,0 +1,1079 @@
+// HTTP Analyzer panel page. The same page runs in three hosts (?host=):
+// - frame: framed into the inspected page by content.js, inside a closed shadow root
+// - devtools: the DevTools panel created by devtools.js
+// - window: a popup window, for tabs that cannot be scripted (chrome://, the Web Store)
+// Outside a frame the inspected tab is passed as ?tabId=, since sender.tab is not it.
+// The panel only starts once its host checks out (see the end of this file).
+function startPanel(HOST, TAB_ID){
+	let pageUrl = '';  // the inspected tab's URL (location is the extension page)
+	let side = 'right';
+	function pageHost(withPort){
+		try { const u = new URL(pageUrl); return withPort ? u.host : u.hostname; } catch (e) { return ''; }
+	}
+
+	function formatHeaders(arr, color){
+		if(!arr||!arr.length) return '<div style="color:#555;font-style:italic;padding:4px 0;">(none)</div>';
+		return arr.map(h => '<div style="display:flex;gap:8px;align-items:flex-start;padding:2px 0;">' +
+				'<span style="color:'+color+';font-weight:600;min-width:110px;overflow:hidden;text-overflow:ellipsis;">'+escapeHtml(h.name)+':</span>' +
+				'<span style="color:#ccc;overflow-wrap:anywhere;word-break:break-word;max-width:calc(100% - 120px);">'+escapeHtml(h.value||'')+'</span>' +
+			'</div>').join('');
+	}
+
+	// Escape HTML to avoid injected content breaking the panel
+	function escapeHtml(s){
+		if (s === null || s === undefined) return '';
+		s = String(s);
+		return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+	}
+	function escAttr(s){ return escapeHtml(s).replace(/"/g,'&quot;'); }
+
+	function fmtTime(t){const d=new Date(t);return d.toLocaleTimeString();}
+
+	// Saves a file the background returned ({filename, type, text}) from a Blob; the worker
+	// cannot make object URLs itself. onError gets the message if it does not go through.
+	function saveFile(res, onError){
+		if (!res || !res.ok || !res.file) { onError((res && res.error) || 'no response'); return; }
+		const url = URL.createObjectURL(new Blob([res.file.text], {type: res.file.type}));
+		chrome.downloads.download({url, filename: res.file.filename, saveAs: true}, id => {
+			const err = chrome.runtime.lastError;
+			if (err || id === undefined) {
+				URL.revokeObjectURL(url);
+				if (!/cancel/i.test(err ? err.message : '')) onError(err ? err.message : 'download not started');
+				return;
+			}
+			// The URL has to stay valid until the download has read it
+			const done = delta => {
+				if (delta.id !== id || !delta.state || delta.state.current === 'in_progress') return;
+				chrome.downloads.onChanged.removeListener(done);
+				URL.revokeObjectURL(url);
+				if (delta.state.current === 'interrupted') onError('download interrupted');
+			};
+			chrome.downloads.onChanged.addListener(done);
+		});
+	}
+	const alertFailed = what => error => alert(what + ' failed: ' + error);
+
+	// Decoded JWT: where it was seen, weakness chips, header + claims (time claims as dates)
+	function renderJwt(j){
+		const times = ['iat', 'nbf', 'exp'].filter(k => typeof j.claims[k] === 'number')
+			.map(k => k + ' ' + new Date(j.claims[k] * 1000).toISOString()).join(' | ');
+		return '<div style="border:1px solid #2a2410;background:#0d0b05;border-radius:4px;padding:6px 8px;margin-bottom:6px;">' +
+			'<div style="display:flex;flex-wrap:wrap;gap:4px;align-items:center;margin-bottom:4px;">' +
+				'<span style="color:#ffaa33;font-size:10px;">'+escapeHtml(j.header.alg || '(no alg)')+'</span>' +
+				'<span style="color:#888;font-size:10px;">'+escapeHtml(j.sources.join(', '))+'</span>' +
+				j.issues.map(i => '<span style="background:#1b1b1b;color:#ffcc88;border:1px solid #aa6622;padding:1px 5px;border-radius:8px;font-size:9px;">'+escapeHtml(i)+'</span>').join('') +
+			'</div>' +
+			'<div style="color:#666;font-size:10px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="'+escAttr(j.token)+'">'+escapeHtml(j.token)+'</div>' +
+			(times ? '<div style="color:#aaa;font-size:10px;margin:2px 0;">'+escapeHtml(times)+'</div>' : '') +
+			(j.hosts.length > 1 ? '<div style="color:#ffcc88;font-size:10px;margin:2px 0;">sent to: '+escapeHtml(j.hosts.join(', '))+'</div>' : '') +
+			'<pre style="background:#050505;border:1px solid #1d1d1d;padding:6px;border-radius:4px;overflow:auto;max-height:160px;white-space:pre-wrap;color:#ccc;margin:4px 0 0;">'+escapeHtml(JSON.stringify(j.header, null, 2))+'</pre>' +
+			'<pre style="background:#050505;border:1px solid #1d1d1d;padding:6px;border-radius:4px;overflow:auto;max-height:200px;white-space:pre-wrap;color:#ccc;margin:4px 0 0;">'+escapeHtml(JSON.stringify(j.claims, null, 2))+'</pre>' +
+		'</div>';
+	}
+
+	// Border colour for tags that come from user rules with a severity
+	const SEV_COLOR = { info: '#888', low: '#44dd55', medium: '#ffaa33', high: '#ff8844', critical: '#ff3366' };
+
+	// Request list: row summaries pushed over a port, rendered as a virtual list.
+	// Only rows in (or near) the viewport exist in the DOM; a row is rebuilt only when its
+	// summary, open state or loaded details change, so selections elsewhere survive updates.
+	const ROW_HEIGHT = 46;     // estimate for a collapsed row until it has been measured
+	const OVERSCAN_PX = 600;
+	const SORT_CMP = {
+		time: (a, b) => b.timestamp - a.timestamp,
+		oldest: (a, b) => a.timestamp - b.timestamp,
+		score: (a, b) => (b.score - a.score) || (b.timestamp - a.timestamp),
+		status: (a, b) => ((b.status || 0) - (a.status || 0)) || (b.timestamp - a.timestamp),
+		host: (a, b) => (a.host || '').toLowerCase().localeCompare((b.host || '').toLowerCase()) || (b.timestamp - a.timestamp)
+	};
+	let rows = [];
+	const rowById = new Map();   // id -> summary
+	const rowEls = new Map();    // id -> { el, key }
+	const heights = new Map();   // id -> measured height
+	const openIds = new Set();
+	const details = new Map();   // id -> full entry for open rows
+	function rowHeight(id){ return heights.get(id) || ROW_HEIGHT; }
+	function detailsHtml(item){
+		const sc = item.response? item.response.statusCode: null;
+		const statusColor = !sc? '#444' : (sc>=500? '#ff3366' : sc>=400? '#ff8844' : sc>=300? '#ffaa33' : '#44dd55');
+		return (item.starred ? '<div style="padding:10px 14px 0 18px;color:#ffcc33;font-size:10px;overflow-wrap:anywhere;">&#9733; STARRED'+(item.note ? ' <span style="color:#ccc;">- '+escapeHtml(item.note)+'</span>' : '')+'</div>' : '') +
+		'<div style="padding:10px 14px 4px 18px;">' +
+			'<div style="color:#00ff41;font-weight:700;margin:0 0 6px;font-size:11px;">REQUEST</div>' +
+			'<div style="border:1px solid #1d1d1d;background:#090909;border-radius:4px;padding:8px 10px;">' +
+				'<div style="color:#00ff41;font-weight:600;margin-bottom:4px;font-size:10px;opacity:.85;">HEADERS</div>' +
+				formatHeaders(item.requestHeaders,'#00ff41') +
+				(item.requestBodyText? '<div style="color:#00b7ff;font-weight:600;margin:10px 0 4px;font-size:10px;">BODY</div><pre style="background:#050505;border:1px solid #1d1d1d;padding:6px;border-radius:4px;overflow:auto;max-height:140px;white-space:pre-wrap;color:#ccc;">'+escapeHtml(item.requestBodyText)+'</pre>' : '') +
+			'</div>' +
+		'</div>' +
+		((item.audit && (item.audit.issues.length || item.audit.cookies.length)) ? (
+			'<div style="padding:6px 14px 4px 18px;">' +
+				'<div style="color:#ff8844;font-weight:700;margin:0 0 6px;font-size:11px;">SECURITY HEADERS</div>' +
+				item.audit.issues.map(i => '<div style="display:flex;gap:6px;padding:1px 0;"><span style="color:#ff8844;min-width:90px;font-size:10px;">'+escapeHtml(i.code)+'</span><span style="color:#ccc;">'+escapeHtml(i.detail)+'</span></div>').join('') +
+				item.audit.cookies.map(c => '<div style="display:flex;gap:6px;padding:1px 0;"><span style="color:#ffaa33;min-width:90px;font-size:10px;">COOKIE</span><span style="color:#ccc;">'+escapeHtml(c.name)+' missing '+escapeHtml(c.missing.join(', '))+'</span></div>').join('') +
+			'</div>'
+		) : '') +
+		((item.jwts && item.jwts.length) ? (
+			'<div style="padding:6px 14px 4px 18px;">' +
+				'<div style="color:#ffaa33;font-weight:700;margin:0 0 6px;font-size:11px;">TOKENS ('+item.jwts.length+')</div>' +
+				item.jwts.map(renderJwt).join('') +
+			'</div>'
+		) : '') +
+		'<div style="padding:4px 14px 0 34px;position:relative;">' +
+			'<div style="position:absolute;left:20px;top:10px;bottom:15px;width:2px;background:linear-gradient(#1d1d1d,#222);"></div>' +
+			'<div style="color:#44dd55;font-weight:700;margin:4px 0 6px;font-size:11px;">RESPONSE</div>' +
+			(item.response ? (
+				'<div style="border:1px solid #1d1d1d;background:#0a120a;border-radius:4px;padding:8px 10px;">' +
+					'<div style="display:flex;align-items:center;gap:8px;margin-bottom:6px;">' +
+						'<span style="background:'+statusColor+';color:#000;padding:3px 8px;border-radius:12px;font-size:10px;font-weight:700;">'+escapeHtml(sc)+'</span>' +
+						'<span style="color:#888;font-size:10px;">'+escapeHtml(item.response.statusLine||'')+'</span>' +
+						'</div>' +
+					'<div style="color:#44dd55;font-weight:600;margin-bottom:4px;font-size:10px;opacity:.85;">HEADERS</div>' +
+					formatHeaders(item.response.responseHeaders,'#44dd55') +
+					(item.response.body ? '<div style="color:#44dd55;font-weight:600;margin:10px 0 4px;font-size:10px;opacity:.85;">BODY <span style="color:#666;font-weight:400;">'+escapeHtml(item.response.body.mimeType || '')+' - '+item.response.body.size+' bytes'+(item.response.body.truncated ? ' (truncated)' : '')+'</span></div><pre style="background:#050505;border:1px solid #1d1d1d;padding:6px;border-radius:4px;overflow:auto;max-height:200px;white-space:pre-wrap;color:#ccc;">'+escapeHtml(item.response.body.text)+'</pre>' : '') +
+				'</div>'
+			) : '<div style="color:#555;font-size:10px;font-style:italic;">Awaiting response...</div>') +
+		'</div>' +
+		((item.repeats && item.repeats.length) ? (
+			'<div style="padding:8px 14px 0 34px;">' +
+				'<div style="color:#00b7ff;font-weight:700;margin:4px 0 6px;font-size:11px;">REPEATS ('+item.repeats.length+')</div>' +
+				item.repeats.slice().reverse().map(rp =>
+					'<div class="repeat-link" data-id="'+escAttr(item.id)+'" data-repeat="'+escAttr(rp.id)+'" style="display:flex;gap:8px;padding:3px 0;cursor:pointer;color:#ccc;font-size:10px;">' +
+						'<span style="color:#666;">'+fmtTime(rp.timestamp)+'</span>' +
+						'<span style="color:#00ff41;">'+escapeHtml(rp.request.method)+'</span>' +
+						'<span style="color:'+(rp.error ? '#ff5555' : '#44dd55')+';">'+(rp.error ? 'ERR' : (rp.response ? rp.response.statusCode : '-'))+'</span>' +
+						'<span style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">'+escapeHtml(rp.request.url)+'</span>' +
+					'</div>'
+				).join('') +
+			'</div>'
+		) : '');
+	}
+	function rowHtml(item){
+		const sc = item.status;
+		const statusColor = !sc? '#444' : (sc>=500? '#ff3366' : sc>=400? '#ff8844' : sc>=300? '#ffaa33' : '#44dd55');
+		const score = item.score||0;
+		const scoreBorder = score>=40? '#ff3366' : score>=25? '#ffaa33' : score>=15? '#44dd55' : '#555';
+		const isOpen = openIds.has(item.id);
+		const full = details.get(item.id);
+		const arrow = '<span class="exp-arrow" style="display:inline-block;transition:transform .2s;color:#888;margin-right:6px;'+(isOpen?'transform:rotate(90deg);':'')+'">▶</span>';
+		return '<div style="border:1px solid #1d1d1d;border-radius:6px;background:#101010;overflow:hidden;position:relative;">' +
+		'<div class="row" style="display:flex;align-items:center;gap:6px;padding:9px 10px;cursor:pointer;background:linear-gradient(90deg,#121212,#0d0d0d);border-left:4px solid '+(sc?statusColor:'#222')+';" data-id="'+escAttr(item.id)+'">' +
+			arrow +
+			'<span style="display:inline-block;padding:3px 8px;border-radius:10px;font-size:10px;font-weight:700;background:#222;color:#00ff41;min-width:46px;text-align:center;">'+escapeHtml(item.method)+'</span>' +
+			(sc? '<span style="display:inline-block;padding:3px 8px;border-radius:10px;font-size:10px;font-weight:700;background:'+statusColor+';color:#000;min-width:46px;text-align:center;">'+escapeHtml(sc)+'</span>' : '<span style="color:#666;font-size:10px;padding:3px 6px;">[...]</span>') +
+			'<span title="'+escAttr(item.url)+'" style="flex:1;min-width:0;font-size:11px;color:#e0e0e0;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">'+escapeHtml(item.url)+'</span>' +
+			((item.tags && item.tags.length) ? item.tags.map(function(t){ const sev = item.tagSeverity && item.tagSeverity[t]; return '<span title="'+escAttr(sev || '')+'" style="background:#1b1b1b;color:#9fd;border:1px solid '+(SEV_COLOR[sev] || '#2a2')+';padding:2px 6px;border-radius:8px;font-size:9px;">'+escapeHtml(t)+'</span>'; }).join('') : '') +
+			'<span style="background:#222;color:#fff;border:1px solid '+scoreBorder+';padding:2px 6px;border-radius:10px;font-size:10px;min-width:28px;text-align:center;">'+score+'</span>' +
+			'<span style="color:#666;font-size:10px;">'+fmtTime(item.timestamp)+'</span>' +
+			'<button class="row-star" data-id="'+escAttr(item.id)+'" title="'+(item.starred ? 'Starred for the report (click to unstar)' : 'Star for the report')+'" style="background:#222;color:'+(item.starred ? '#ffcc33' : '#666')+';border:1px solid '+(item.starred ? '#ffcc33' : '#444')+';padding:1px 5px;cursor:pointer;font-size:9px;border-radius:3px;">'+(item.starred ? '&#9733;' : '&#9734;')+'</button>' +
+			'<button class="row-repeat" data-id="'+escAttr(item.id)+'" title="Repeat: edit and resend" style="background:#222;color:#00b7ff;border:1px solid #00b7ff;padding:1px 5px;cursor:pointer;font-size:9px;border-radius:3px;">RPT</button>' +
+		'</div>' +
+				(isOpen ? '<div style="padding:0 0 10px 0;background:#0c0c0c;border-top:1px solid #1d1d1d;">' + (full ? detailsHtml(full) : '<div style="color:#555;padding:10px 18px;">Loading...</div>') + '</div>' : '') +
+			'</div>';
+	}
+	function renderList(){
+		body.querySelectorAll('.http-empty').forEach(el => el.remove());
+		if (!rows.length) {
+			rowEls.forEach(rec => rec.el.remove());
+			rowEls.clear();
+			vTop.style.height = vBottom.style.height = '0px';
+			vTop.insertAdjacentHTML('afterend', '<div class="http-empty" style="color:#555;text-align:center;padding:25px;font-size:12px;">No HTTP requests captured yet.</div>');
+			return;
+		}
+		const viewTop = body.scrollTop, viewBottom = viewTop + (body.clientHeight || 800);
+		let i = 0, y = 0;
+		while (i < rows.length && y + rowHeight(rows[i].id) < viewTop - OVERSCAN_PX) { y += rowHeight(rows[i].id); i++; }
+		const first = i, top = y;
+		while (i < rows.length && y < viewBottom + OVERSCAN_PX) { y += rowHeight(rows[i].id); i++; }
+		const visible = rows.slice(first, i);
+		let rest = 0;
+		for (; i < rows.length; i++) rest += rowHeight(rows[i].id);
+		vTop.style.height = top + 'px';
+		vBottom.style.height = rest + 'px';
+		const keep = new Set(visible.map(r => r.id));
+		rowEls.forEach((rec, id) => { if (!keep.has(id)) { rec.el.remove(); rowEls.delete(id); } });
+		let prev = vTop;
+		visible.forEach(r => {
+			const key = JSON.stringify(r) + '|' + openIds.has(r.id) + '|' + (details.has(r.id) ? details.get(r.id).__v : '');
+			let rec = rowEls.get(r.id);
+			if (!rec || rec.key !== key) {
+				const el = document.createElement('div');
+				el.style.padding = '5px 0';
+				el.dataset.id = r.id;
+				el.innerHTML = rowHtml(r);
+				if (rec) rec.el.replaceWith(el);
+				rec = { el, key };
+				rowEls.set(r.id, rec);
+			}
+			if (prev.nextSibling !== rec.el) prev.after(rec.el);
+			prev = rec.el;
+		});
+		// Re-layout once if real heights differ from the estimates
+		let moved = false;
+		visible.forEach(r => {
+			const h = rowEls.get(r.id).el.offsetHeight;
+			if (h && heights.get(r.id) !== h) { heights.set(r.id, h); moved = true; }
+		});
+		if (moved && !renderList.again) { renderList.again = true; renderList(); renderList.again = false; }
+	}
+	let renderQueued = false;
+	function scheduleRender(){
+		if (renderQueued) return;
+		renderQueued = true;
+		requestAnimationFrame(() => { renderQueued = false; renderList(); });
+	}
+	function sortRows(){
+		rows = Array.from(rowById.values()).sort(SORT_CMP[sortSelect.value] || SORT_CMP.time);
+		document.getElementById('http-count').textContent = rows.length + (rows.length === 1 ? ' request' : ' requests');
+	}
+	function loadDetails(id){
+		chrome.runtime.sendMessage({action:'getEntry', id}, res => {
+			if (!res || !res.ok || !openIds.has(id)) return;
+			res.entry.__v = Date.now();
+			details.set(id, res.entry);
+			scheduleRender();
+		});
+	}
+	function applyChanges(upserts, removes){
+		removes.forEach(id => { rowById.delete(id); openIds.delete(id); details.delete(id); heights.delete(id); });
+		upserts.forEach(r => {
+			rowById.set(r.id, r);
+			if (openIds.has(r.id)) loadDetails(r.id);
+		});
+		sortRows();
+		scheduleRender();
+	}
+	const body = document.getElementById('http-body');
+	body.innerHTML = '<div id="http-vtop"></div><div id="http-vbottom"></div>';
+	const vTop = document.getElementById('http-vtop');
+	const vBottom = document.getElementById('http-vbottom');
+	body.addEventListener('scroll', scheduleRender);
+	// Row handlers are delegated, so rebuilt rows need no wiring
+	body.addEventListener('click', ev => {
+		const star = ev.target.closest('.row-star');
+		if (star) { ev.stopPropagation(); toggleStar(star.dataset.id); return; }
+		const rpt = ev.target.closest('.row-repeat');
+		if (rpt) { ev.stopPropagation(); openRepeater(rpt.dataset.id); return; }
+		const link = ev.target.closest('.repeat-link');
+		if (link) { openRepeater(link.dataset.id, link.dataset.repeat); return; }
+		const row = ev.target.closest('.row');
+		if (!row) return;
+		const id = row.dataset.id;
+		if (openIds.has(id)) { openIds.delete(id); details.delete(id); }
+		else { openIds.add(id); loadDetails(id); }
+		renderList();
+	});
+	// Starred requests always go into the report; the note becomes part of the finding
+	function toggleStar(id){
+		const r = rowById.get(id);
+		if (!r) return;
+		let note = '';
+		if (!r.starred) {
+			note = prompt('Note for the report (optional)', '');
+			if (note === null) return;
+		}
+		chrome.runtime.sendMessage({action:'setStar', id, starred: !r.starred, note}, res => {
+			if (!res || !res.ok) alert('HTTP Analyzer: ' + ((res && res.error) || 'no response'));
+		});
+	}
+	const filterInput = document.getElementById('http-filter-input');
+	// The background re-sends the list when the domain filter or session changes
+	document.getElementById('http-filter-set').onclick = ()=>chrome.runtime.sendMessage({action:'setFilter', value: filterInput.value});
+	document.getElementById('http-filter-clear').onclick = ()=>{ filterInput.value=''; chrome.runtime.sendMessage({action:'setFilter', value:''}); };
+	document.getElementById('http-clear').onclick = ()=>chrome.runtime.sendMessage({action:'clear'}, loadSessions);
+
+	// One view at a time: the request list, rules or the repeater
+	let currentView = 'list';
+	function showView(name){
+		currentView = name;
+		body.style.display = name === 'list' ? 'block' : 'none';
+		document.getElementById('http-rules').style.display = name === 'rules' ? 'block' : 'none';
+		document.getElementById('http-repeater').style.display = name === 'repeater' ? 'block' : 'none';
+		document.getElementById('http-hosts').style.display = name === 'hosts' ? 'block' : 'none';
+		document.getElementById('http-findings').style.display = name === 'findings' ? 'block' : 'none';
+		document.getElementById('http-report').style.display = name === 'report' ? 'block' : 'none';
+		document.getElementById('http-scope').style.display = name === 'scope' ? 'block' : 'none';
+		document.getElementById('http-api').style.display = name === 'api' ? 'block' : 'none';
+		document.getElementById('http-intercept').style.display = name === 'intercept' ? 'block' : 'none';
+	}
+
+	// Intercept view: conditions, held queue + editor, match-and-replace rules
+	const interceptView = document.getElementById('http-intercept');
+	const interceptBtn = document.getElementById('http-intercept-toggle');
+	const intField = 'background:#000;color:#ccc;border:1px solid #1d1d1d;font:10px Consolas,Monaco,monospace;padding:4px 5px;box-sizing:border-box;';
+	const intBtn = (id, label, color) => '<button id="'+id+'" style="background:#222;color:'+color+';border:1px solid '+color+';padding:3px 8px;cursor:pointer;font-size:10px;">'+label+'</button>';
+	interceptView.innerHTML =
+		'<div style="display:flex;align-items:center;gap:6px;margin-bottom:8px;">' +
+			'<span style="color:#ff8844;font-weight:700;font-size:11px;">INTERCEPT</span>' +
+			'<button id="http-int-enabled" style="background:#222;color:#888;border:1px solid #555;padding:3px 8px;cursor:pointer;font-size:10px;">OFF</button>' +
+			'<span style="margin-left:auto;"></span>' + intBtn('http-int-fwd-all', 'FORWARD ALL', '#00ff41') + intBtn('http-int-drop-all', 'DROP ALL', '#ff5555') +
+		'</div>' +
+		'<div style="display:grid;grid-template-columns:1fr 1fr;gap:4px;margin-bottom:4px;">' +
+			'<input id="http-int-host" placeholder="hosts (example.com, api.test)" style="'+intField+'" />' +
+			'<input id="http-int-path" placeholder="path regex (^/api/)" style="'+intField+'" />' +
+			'<input id="http-int-method" placeholder="methods (POST, PUT)" style="'+intField+'" />' +
+			'<input id="http-int-tag" placeholder="tags (AUTH, SENSITIVE)" style="'+intField+'" />' +
+		'</div>' +
+		'<div style="display:flex;align-items:center;gap:6px;margin-bottom:8px;color:#888;font-size:10px;">' +
+			'auto-forward after <input id="http-int-timeout" type="number" min="1" style="'+intField+'width:50px;" /> s' +
+			'<label style="display:flex;align-items:center;gap:3px;"><input id="http-int-static" type="checkbox" /> skip images/fonts/css</label>' +
+			'<span style="margin-left:auto;"></span>' + intBtn('http-int-save', 'SAVE', '#00ff41') +
+		'</div>' +
+		'<div style="color:#ff8844;font-weight:600;font-size:10px;margin:4px 0;">HELD REQUESTS</div>' +
+		'<div id="http-int-queue"></div>' +
+		'<div id="http-int-editor"></div>' +
+		'<div style="color:#00b7ff;font-weight:600;font-size:10px;margin:14px 0 4px;">MATCH AND REPLACE (empty match sets "Name: value"; ^Name:.* removes the header, or replaces it with "Name: value")</div>' +
+		'<div id="http-mr-list"></div>' +
+		'<div style="display:flex;gap:4px;margin-top:4px;">' +
+			'<select id="http-mr-type" style="'+intField+'"><option value="request">request</option><option value="response">response</option></select>' +
+			'<input id="http-mr-match" placeholder="^Content-Security-Policy:.*" style="'+intField+'flex:1;min-width:0;" />' +
+			'<input id="http-mr-replace" placeholder="X-Test: 1" style="'+intField+'flex:1;min-width:0;" />' +
+			intBtn('http-mr-add', 'ADD', '#00ff41') +
+		'</div>' +
+		'<div id="http-int-msg" style="color:#ff5555;font-size:10px;margin-top:6px;"></div>';
+	let interceptState = null, replaceList = [], editingId = null, interceptTimer = null;
+	const intMsg = (text) => { document.getElementById('http-int-msg').textContent = text || ''; };
+	function showIntercept(v){
+		interceptState = v;
+		const btn = document.getElementById('http-int-enabled');
+		btn.textContent = v.enabled ? 'ON' : 'OFF';
+		btn.style.color = btn.style.borderColor = v.enabled ? '#ff8844' : '#888';
+		interceptBtn.style.color = interceptBtn.style.borderColor = v.enabled ? '#ff8844' : '#888';
+		document.getElementById('http-int-host').value = v.match.host;
+		document.getElementById('http-int-path').value = v.match.path;
+		document.getElementById('http-int-method').value = v.match.method;
+		document.getElementById('http-int-tag').value = v.match.tag;
+		document.getElementById('http-int-timeout').value = Math.round(v.timeoutMs / 1000);
+		document.getElementById('http-int-static').checked = v.skipStatic;
+	}
+	function readIntercept(enabled){
+		return {
+			enabled,
+			match: { host: document.getElementById('http-int-host').value, path: document.getElementById('http-int-path').value, method: document.getElementById('http-int-method').value, tag: document.getElementById('http-int-tag').value },
+			timeoutMs: (parseInt(document.getElementById('http-int-timeout').value, 10) || 30) * 1000,
+			skipStatic: document.getElementById('http-int-static').checked
+		};
+	}
+	function saveIntercept(enabled){
+		chrome.runtime.sendMessage({action:'setIntercept', value: readIntercept(enabled)}, res => {
+			if (!res || !res.ok) { intMsg((res && res.error) || 'No response'); return; }
+			intMsg(''); showIntercept(res.value);
+		});
+	}
+	document.getElementById('http-int-enabled').onclick = ()=>saveIntercept(!(interceptState && interceptState.enabled));
+	document.getElementById('http-int-save').onclick = ()=>saveIntercept(!!(interceptState && interceptState.enabled));
+	function interceptAction(msg){
+		chrome.runtime.sendMessage(Object.assign({action:'interceptAction'}, msg), res => {
+			if (!res || !res.ok) intMsg((res && res.error) || 'No response'); else intMsg('');
+			if (msg.all || msg.id === editingId) { editingId = null; document.getElementById('http-int-editor').innerHTML = ''; }
+			loadIntercept();
+		});
+	}
+	document.getElementById('http-int-fwd-all').onclick = ()=>interceptAction({all: true, decision: 'forward'});
+	document.getElementById('http-int-drop-all').onclick = ()=>interceptAction({all: true, decision: 'drop'});
+	function openHeld(item){
+		editingId = item.id;
+		const editor = document.getElementById('http-int-editor');
+		editor.innerHTML =
+			'<div style="border:1px solid #ff8844;border-radius:6px;padding:8px;margin:8px 0;background:#101010;">' +
+				'<div style="display:flex;gap:6px;margin-bottom:6px;">' +
+					'<input id="http-int-ed-method" value="'+escAttr(item.method)+'" style="'+intField+'width:70px;color:#00ff41;" />' +
+					'<input id="http-int-ed-url" value="'+escAttr(item.url)+'" title="Change the URL to redirect the request" style="'+intField+'flex:1;min-width:0;" />' +
+				'</div>' +
+				'<div style="color:#00ff41;font-weight:600;margin:4px 0;font-size:10px;">HEADERS (Name: value per line)</div>' +
+				'<textarea id="http-int-ed-headers" spellcheck="false" style="'+intField+'width:100%;height:110px;">'+escapeHtml(item.headers.map(h => h.name + ': ' + h.value).join('\n'))+'</textarea>' +
+				'<div style="color:#00b7ff;font-weight:600;margin:4px 0;font-size:10px;">BODY'+(item.bodyMissing ? ' (too large to edit)' : '')+'</div>' +
+				'<textarea id="http-int-ed-body" spellcheck="false" '+(item.bodyMissing ? 'disabled ' : '')+'style="'+intField+'width:100%;height:70px;">'+escapeHtml(item.body || '')+'</textarea>' +
+				'<div style="display:flex;gap:6px;margin-top:6px;">' + intBtn('http-int-ed-fwd', 'FORWARD', '#00ff41') + intBtn('http-int-ed-drop', 'DROP', '#ff5555') + intBtn('http-int-ed-close', 'CLOSE', '#888') + '</div>' +
+			'</div>';
+		document.getElementById('http-int-ed-fwd').onclick = ()=>{
+			const change = { id: item.id, decision: 'forward', method: document.getElementById('http-int-ed-method').value.trim(), url: document.getElementById('http-int-ed-url').value.trim(), headers: document.getElementById('http-int-ed-headers').value };
+			if (!item.bodyMissing) change.body = document.getElementById('http-int-ed-body').value;
+			interceptAction(change);
+		};
+		document.getElementById('http-int-ed-drop').onclick = ()=>interceptAction({id: item.id, decision: 'drop'});
+		document.getElementById('http-int-ed-close').onclick = ()=>{ editingId = null; editor.innerHTML = ''; };
+	}
+	function renderHeld(items){
+		const queue = document.getElementById('http-int-queue');
+		if (!items.length) { queue.innerHTML = '<div style="color:#555;font-style:italic;">(nothing held)</div>'; }
+		else queue.innerHTML = items.map(item =>
+			'<div style="display:flex;align-items:center;gap:6px;padding:3px 0;border-bottom:1px solid #151515;'+(item.id === editingId ? 'background:#1a1008;' : '')+'">' +
+				'<span style="color:#00ff41;font-weight:700;min-width:40px;">'+escapeHtml(item.method)+'</span>' +
+				'<span title="'+escAttr(item.url)+'" style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;color:#e0e0e0;">'+escapeHtml(item.url)+'</span>' +
+				item.tags.map(t => '<span style="background:#1b1b1b;color:#9fd;border:1px solid #2a2;padding:0 4px;border-radius:8px;font-size:9px;">'+escapeHtml(t)+'</span>').join('') +
+				'<span style="color:#888;font-size:10px;min-width:26px;text-align:right;">'+Math.max(0, Math.ceil((item.expiresAt - Date.now()) / 1000))+'s</span>' +
+				'<button class="int-edit" data-id="'+escAttr(item.id)+'" style="background:#222;color:#ff8844;border:1px solid #ff8844;padding:1px 5px;cursor:pointer;font-size:9px;">EDIT</button>' +
+				'<button class="int-fwd" data-id="'+escAttr(item.id)+'" style="background:#222;color:#00ff41;border:1px solid #00ff41;padding:1px 5px;cursor:pointer;font-size:9px;">FWD</button>' +
+				'<button class="int-drop" data-id="'+escAttr(item.id)+'" style="background:#222;color:#ff5555;border:1px solid #882222;padding:1px 5px;cursor:pointer;font-size:9px;">DROP</button>' +
+			'</div>').join('');
+		queue.querySelectorAll('.int-edit').forEach(b => { b.onclick = ()=>{ const it = items.find(x => x.id === b.dataset.id); if (it) { openHeld(it); renderHeld(items); } }; });
+		queue.querySelectorAll('.int-fwd').forEach(b => { b.onclick = ()=>interceptAction({id: b.dataset.id, decision: 'forward'}); });
+		queue.querySelectorAll('.int-drop').forEach(b => { b.onclick = ()=>interceptAction({id: b.dataset.id, decision: 'drop'}); });
+		if (editingId && !items.some(x => x.id === editingId)) { editingId = null; document.getElementById('http-int-editor').innerHTML = '<div style="color:#888;font-size:10px;margin:6px 0;">The request was released (timed out or tab navigated).</div>'; }
+	}
+	function renderReplaceRules(){
+		const list = document.getElementById('http-mr-list');
+		if (!replaceList.length) { list.innerHTML = '<div style="color:#555;font-style:italic;">(no rules)</div>'; return; }
+		list.innerHTML = replaceList.map((r, i) =>
+			'<div style="display:flex;align-items:center;gap:6px;padding:2px 0;">' +
+				'<input type="checkbox" class="mr-enabled" data-i="'+i+'"'+(r.enabled ? ' checked' : '')+' />' +
+				'<span style="color:#888;min-width:55px;">'+escapeHtml(r.type)+'</span>' +
+				'<span style="color:#ffcc88;flex:1;min-width:0;overflow-wrap:anywhere;">'+(r.match ? escapeHtml(r.match) : '<i style="color:#555;">(add)</i>')+'</span>' +
+				'<span style="color:#555;">&rarr;</span>' +
+				'<span style="color:#9fd;flex:1;min-width:0;overflow-wrap:anywhere;">'+(r.replace ? escapeHtml(r.replace) : '<i style="color:#555;">(remove)</i>')+'</span>' +
+				'<button class="mr-del" data-i="'+i+'" style="background:#331010;color:#ff5555;border:1px solid #882222;padding:0 5px;cursor:pointer;font-size:9px;">X</button>' +
+			'</div>').join('');
+		list.querySelectorAll('.mr-enabled').forEach(cb => { cb.onchange = ()=>{ replaceList[+cb.dataset.i].enabled = cb.checked; saveReplaceRules(); }; });
+		list.querySelectorAll('.mr-del').forEach(b => { b.onclick = ()=>{ replaceList.splice(+b.dataset.i, 1); saveReplaceRules(); }; });
+	}
+	function saveReplaceRules(){
+		chrome.runtime.sendMessage({action:'setReplaceRules', rules: replaceList}, res => {
+			if (!res || !res.ok) { intMsg((res && res.error) || 'No response'); loadIntercept(); return; }
+			intMsg(''); replaceList = res.rules; renderReplaceRules();
+		});
+	}
+	document.getElementById('http-mr-add').onclick = ()=>{
+		replaceList = replaceList.concat({ type: document.getElementById('http-mr-type').value, match: document.getElementById('http-mr-match').value, replace: document.getElementById('http-mr-replace').value, enabled: true });
+		saveReplaceRules();
+		document.getElementById('http-mr-match').value = ''; document.getElementById('http-mr-replace').value = '';
+	};
+	function loadIntercept(withSettings){
+		chrome.runtime.sendMessage({action:'getIntercept'}, res => {
+			if (!res) return;
+			if (withSettings) { showIntercept(res.value); replaceList = res.replaceRules; renderReplaceRules(); }
+			renderHeld(res.held);
+		});
+	}
+	chrome.runtime.sendMessage({action:'getIntercept'}, res => { if (res) { showIntercept(res.value); replaceList = res.replaceRules; renderReplaceRules(); } });
+	interceptBtn.onclick = ()=>{
+		if (currentView === 'intercept') { showView('list'); return; }
+		showView('intercept');
+		loadIntercept(true);
+		// The queue changes quickly; refresh it every second while the view is open
+		clearInterval(interceptTimer);
+		interceptTimer = setInterval(()=>{ if (currentView === 'intercept') loadIntercept(); else clearInterval(interceptTimer); }, 1000);
+	};
+
+	// API view: endpoint inventory as a host / path-segment tree
+	const apiView = document.getElementById('http-api');
+	function endpointRow(ep){
+		const info = [
+			ep.queryParams.length ? 'query: ' + ep.queryParams.join(', ') : '',
+			ep.bodyKeys.length ? 'body: ' + ep.bodyKeys.join(', ') : '',
+			ep.requestTypes.length ? 'sends: ' + ep.requestTypes.join(', ') : '',
+			ep.responseTypes.length ? 'returns: ' + ep.responseTypes.join(', ') : '',
+			ep.tags.length ? 'tags: ' + ep.tags.join(', ') : ''
+		].filter(Boolean);
+		const scoreBorder = ep.maxScore>=40? '#ff3366' : ep.maxScore>=25? '#ffaa33' : ep.maxScore>=15? '#44dd55' : '#555';
+		return '<div style="padding:3px 0 3px 14px;">' +
+			'<div style="display:flex;align-items:center;gap:6px;" title="'+escAttr('e.g. ' + ep.example.url)+'">' +
+				'<span style="display:inline-block;padding:1px 6px;border-radius:8px;font-size:9px;font-weight:700;background:#222;color:#00ff41;min-width:40px;text-align:center;">'+escapeHtml(ep.method)+'</span>' +
+				'<span style="color:#e0e0e0;flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">'+escapeHtml(ep.path)+'</span>' +
+				'<span style="color:#888;font-size:10px;">'+escapeHtml(ep.statuses.join(' '))+'</span>' +
+				'<span style="color:#666;font-size:10px;">x'+ep.count+'</span>' +
+				'<span style="background:#222;color:#fff;border:1px solid '+scoreBorder+';padding:0 5px;border-radius:8px;font-size:9px;">'+ep.maxScore+'</span>' +
+			'</div>' +
+			(info.length ? '<div style="color:#777;font-size:10px;padding:1px 0 0 48px;overflow-wrap:anywhere;">'+info.map(escapeHtml).join(' &middot; ')+'</div>' : '') +
+		'</div>';
+	}
+	function renderApiNode(node, depth){
+		return node.endpoints.map(endpointRow).join('') + Array.from(node.children.keys()).sort().map(seg => {
+			const child = node.children.get(seg);
+			return '<details open style="margin-left:'+(depth ? 12 : 0)+'px;"><summary style="cursor:pointer;color:#00b7ff;padding:2px 0;">/'+escapeHtml(seg)+' <span style="color:#555;font-size:10px;">('+child.total+')</span></summary>' + renderApiNode(child, depth + 1) + '</details>';
+		}).join('');
+	}
+	function apiTree(endpoints){
+		const root = { children: new Map(), endpoints: [], total: 0 };
+		endpoints.forEach(ep => {
+			let node = root;
+			node.total++;
+			ep.path.split('/').filter(Boolean).forEach(seg => {
+				if (!node.children.has(seg)) node.children.set(seg, { children: new Map(), endpoints: [], total: 0 });
+				node = node.children.get(seg);
+				node.total++;
+			});
+			node.endpoints.push(ep);
+		});
+		return root;
+	}
+	function loadInventory(){
+		apiView.innerHTML = '<div style="color:#555;padding:10px;">Loading...</div>';
+		chrome.runtime.sendMessage({action:'inventory'}, res => {
+			if (!res || !res.ok) { apiView.innerHTML = '<div style="color:#ff5555;padding:10px;">'+escapeHtml((res && res.error) || 'No response')+'</div>'; return; }
+			if (!res.hosts.length) { apiView.innerHTML = '<div style="color:#555;text-align:center;padding:25px;font-size:12px;">No endpoints in this session yet.</div>'; return; }
+			apiView.innerHTML = '<div style="display:flex;align-items:center;margin-bottom:8px;"><span style="color:#00ff41;font-weight:700;font-size:11px;">ENDPOINT INVENTORY</span>' +
+				'<button id="http-api-refresh" style="margin-left:auto;background:#222;color:#ccc;border:1px solid #555;padding:2px 8px;cursor:pointer;font-size:10px;">REFRESH</button></div>' +
+				res.hosts.map(h =>
+					'<details open style="border:1px solid #1d1d1d;background:#101010;border-radius:6px;margin:0 0 10px;padding:6px 10px;">' +
+						'<summary style="cursor:pointer;display:flex;align-items:center;gap:8px;">' +
+							'<span style="color:#e0e0e0;font-weight:700;">'+escapeHtml(h.host)+'</span>' +
+							'<span style="color:#666;font-size:10px;">'+h.endpoints.length+' endpoints</span>' +
+							'<button class="api-openapi" data-host="'+escAttr(h.host)+'" title="Export an OpenAPI 3 skeleton for this host" style="margin-left:auto;background:#222;color:#00ff41;border:1px solid #00ff41;padding:1px 6px;cursor:pointer;font-size:9px;">OPENAPI</button>' +
+						'</summary>' +
+						renderApiNode(apiTree(h.endpoints), 0) +
+					'</details>').join('');
+			document.getElementById('http-api-refresh').onclick = loadInventory;
+			apiView.querySelectorAll('.api-openapi').forEach(btn => {
+				btn.onclick = (ev)=>{
+					ev.preventDefault();
+					chrome.runtime.sendMessage({action:'exportOpenApi', host: btn.getAttribute('data-host')}, r => saveFile(r, alertFailed('Export')));
+				};
+			});
+		});
+	}
+	document.getElementById('http-api-toggle').onclick = ()=>{
+		if (currentView === 'api') { showView('list'); return; }
+		showView('api');
+		loadInventory();
+	};
+
+	// Scope view: one host[/path] glob per line
+	const scopeView = document.getElementById('http-scope');
+	const scopeBox = 'width:100%;box-sizing:border-box;height:110px;background:#000;color:#00ff41;border:1px solid #00ff41;padding:6px;font-size:11px;font-family:inherit;border-radius:3px;';
+	scopeView.innerHTML =
+		'<div style="color:#00ff41;font-weight:700;font-size:11px;margin-bottom:6px;">PROJECT SCOPE</div>' +
+		'<div style="color:#888;font-size:10px;margin-bottom:8px;">One pattern per line: host[/path] with * wildcards, e.g. *.example.com/api/*. With no include patterns everything is in scope. Out-of-scope requests are not captured; already stored entries are kept.</div>' +
+		'<div style="color:#44dd55;font-weight:600;font-size:10px;margin:4px 0;">INCLUDE</div>' +
+		'<textarea id="http-scope-include" spellcheck="false" style="'+scopeBox+'"></textarea>' +
+		'<div style="color:#ff5555;font-weight:600;font-size:10px;margin:8px 0 4px;">EXCLUDE</div>' +
+		'<textarea id="http-scope-exclude" spellcheck="false" style="'+scopeBox+'border-color:#882222;color:#ffaaaa;"></textarea>' +
+		'<div style="display:flex;gap:6px;margin-top:8px;">' +
+			'<button id="http-scope-save" style="background:#002200;color:#00ff41;border:1px solid #00ff41;padding:4px 10px;cursor:pointer;font-size:10px;">SAVE</button>' +
+			'<button id="http-scope-add" title="Add the current host to the include list" style="background:#222;color:#ccc;border:1px solid #555;padding:4px 10px;cursor:pointer;font-size:10px;">+ THIS HOST</button>' +
+			'<span id="http-scope-status" style="color:#888;font-size:10px;align-self:center;"></span>' +
+		'</div>';
+	const scopeInclude = document.getElementById('http-scope-include');
+	const scopeExclude = document.getElementById('http-scope-exclude');
+	const scopeToggle = document.getElementById('http-scope-toggle');
+	function showScope(v){
+		scopeInclude.value = (v.include || []).join('\n');
+		scopeExclude.value = (v.exclude || []).join('\n');
+		const on = v.include.length || v.exclude.length;
+		scopeToggle.style.color = on ? '#00ff41' : '#888';
+		scopeToggle.style.borderColor = on ? '#00ff41' : '#555';
+	}
+	chrome.runtime.sendMessage({action:'getScope'}, res => { if (res && res.value) showScope(res.value); });
+	scopeToggle.onclick = ()=>showView(currentView === 'scope' ? 'list' : 'scope');
+	document.getElementById('http-scope-add').onclick = ()=>{
+		scopeInclude.value = (scopeInclude.value.trim() ? scopeInclude.value.trim() + '\n' : '') + pageHost(true);
+	};
+	document.getElementById('http-scope-save').onclick = ()=>{
+		const lines = el => el.value.split(/[\r\n]+/).map(l => l.trim()).filter(Boolean);
+		chrome.runtime.sendMessage({action:'setScope', value: {include: lines(scopeInclude), exclude: lines(scopeExclude)}}, res => {
+			if (!res || !res.ok) return;
+			showScope(res.value);
+			document.getElementById('http-scope-status').textContent = 'Saved';
+			setTimeout(()=>{ document.getElementById('http-scope-status').textContent = ''; }, 1500);
+		});
+	};
+
+	// Hosts view: aggregated header / cookie audit for the session
+	const hostsView = document.getElementById('http-hosts');
+	document.getElementById('http-hosts-toggle').onclick = ()=>{
+		if (currentView === 'hosts') { showView('list'); return; }
+		showView('hosts');
+		hostsView.innerHTML = '<div style="color:#555;padding:10px;">Loading...</div>';
+		chrome.runtime.sendMessage({action:'hostSummary'}, res => {
+			if (!res || !res.ok) { hostsView.innerHTML = '<div style="color:#ff5555;padding:10px;">'+escapeHtml((res && res.error) || 'No response')+'</div>'; return; }
+			if (!res.hosts.length) { hostsView.innerHTML = '<div style="color:#555;text-align:center;padding:25px;font-size:12px;">No responses in this session yet.</div>'; return; }
+			hostsView.innerHTML = '<div style="color:#00ff41;font-weight:700;font-size:11px;margin-bottom:8px;">HOST SECURITY SUMMARY</div>' + res.hosts.map(h =>
+				'<div style="border:1px solid #1d1d1d;background:#101010;border-radius:6px;margin:0 0 10px;padding:8px 10px;">' +
+					'<div style="display:flex;gap:8px;align-items:center;margin-bottom:6px;">' +
+						'<span style="color:#e0e0e0;font-weight:700;">'+escapeHtml(h.host)+'</span>' +
+						'<span style="color:#666;font-size:10px;margin-left:auto;">'+h.responses+' responses</span>' +
+					'</div>' +
+					(h.issues.length ? h.issues.map(i =>
+						'<div style="display:flex;gap:6px;align-items:flex-start;padding:2px 0;" title="'+escAttr('e.g. ' + i.example)+'">' +
+							'<span style="background:#1b1b1b;color:#9fd;border:1px solid #2a2;padding:1px 5px;border-radius:8px;font-size:9px;white-space:nowrap;">'+escapeHtml(i.code)+'</span>' +
+							'<span style="color:#ccc;flex:1;">'+escapeHtml(i.detail)+'</span>' +
+							'<span style="color:#666;font-size:10px;">x'+i.count+'</span>' +
+						'</div>').join('') : '<div style="color:#44dd55;font-size:10px;">No header issues</div>') +
+					(h.cookies.length ? '<div style="color:#ffaa33;font-weight:600;margin:6px 0 2px;font-size:10px;">COOKIES MISSING FLAGS</div>' + h.cookies.map(c =>
+						'<div style="display:flex;gap:8px;padding:1px 0;"><span style="color:#ccc;min-width:110px;">'+escapeHtml(c.name)+'</span><span style="color:#ffcc88;">'+escapeHtml(c.missing.join(', '))+'</span></div>').join('') : '') +
+				'</div>').join('');
+		});
+	};
+
+	// Findings view: cross-request detections for the session; a finding filters the list to its tag and host
+	const findingsView = document.getElementById('http-findings');
+	document.getElementById('http-findings-toggle').onclick = ()=>{
+		if (currentView === 'findings') { showView('list'); return; }
+		showView('findings');
+		findingsView.innerHTML = '<div style="color:#555;padding:10px;">Correlating...</div>';
+		chrome.runtime.sendMessage({action:'findings'}, res => {
+			if (!res || !res.ok) { findingsView.innerHTML = '<div style="color:#ff5555;padding:10px;">'+escapeHtml((res && res.error) || 'No response')+'</div>'; return; }
+			if (!res.findings.length) { findingsView.innerHTML = '<div style="color:#555;text-align:center;padding:25px;font-size:12px;">No cross-request findings in this session yet.</div>'; return; }
+			findingsView.innerHTML = '<div style="color:#00ff41;font-weight:700;font-size:11px;margin-bottom:8px;">FINDINGS ('+res.findings.length+')</div>' + res.findings.map(f =>
+				'<div class="finding" data-code="'+escAttr(f.code)+'" data-host="'+escAttr(f.host)+'" title="Show these requests" style="border:1px solid #1d1d1d;border-left:3px solid '+(SEV_COLOR[f.severity] || '#888')+';background:#101010;border-radius:6px;margin:0 0 8px;padding:6px 10px;cursor:pointer;">' +
+					'<div style="display:flex;gap:8px;align-items:center;margin-bottom:3px;">' +
+						'<span style="background:#1b1b1b;color:#9fd;border:1px solid #2a2;padding:1px 5px;border-radius:8px;font-size:9px;white-space:nowrap;">'+escapeHtml(f.code)+'</span>' +
+						'<span style="color:#e0e0e0;font-weight:600;flex:1;min-width:0;overflow-wrap:anywhere;">'+escapeHtml(f.title)+'</span>' +
+						'<span style="color:'+(SEV_COLOR[f.severity] || '#888')+';font-size:10px;">'+escapeHtml(f.severity)+'</span>' +
+					'</div>' +
+					'<div style="color:#ccc;font-size:10px;overflow-wrap:anywhere;">'+escapeHtml(f.detail)+'</div>' +
+					'<div style="color:#666;font-size:10px;margin-top:2px;">'+f.entryIds.length+' request'+(f.entryIds.length === 1 ? '' : 's')+'</div>' +
+				'</div>').join('');
+			findingsView.querySelectorAll('.finding').forEach(el => {
+				el.onclick = ()=>{
+					queryInput.value = 'tag:' + el.dataset.code + ' host:' + el.dataset.host;
+					showView('list');
+					applyQuery();
+				};
+			});
+		});
+	};
+
+	// Report view: which requests go in, what gets redacted, preview and downloads
+	const reportView = document.getElementById('http-report');
+	const reportField = 'background:#000;color:#ccc;border:1px solid #1d1d1d;font:10px Consolas,Monaco,monospace;padding:4px 5px;box-sizing:border-box;';
+	const reportBtn = (id, label, title) => '<button id="'+id+'" title="'+title+'" style="background:#222;color:#00ff41;border:1px solid #00ff41;padding:3px 8px;cursor:pointer;font-size:10px;">'+label+'</button>';
+	reportView.innerHTML =
+		'<div style="color:#00ff41;font-weight:700;font-size:11px;margin-bottom:6px;">FINDINGS REPORT</div>' +
+		'<div style="color:#888;font-size:10px;margin-bottom:8px;">Starred requests and tagged requests at or above the minimum score, grouped by endpoint. Each finding takes its evidence from the best request of the group.</div>' +
+		'<div style="display:flex;flex-wrap:wrap;align-items:center;gap:8px;margin-bottom:6px;color:#ccc;font-size:10px;">' +
+			'<label>min score <input id="http-report-min" type="number" min="0" style="'+reportField+'width:55px;" /></label>' +
+			'<label style="display:flex;align-items:center;gap:3px;"><input id="http-report-starred" type="checkbox" /> starred</label>' +
+			'<label>body excerpt <input id="http-report-chars" type="number" min="0" style="'+reportField+'width:65px;" /> chars</label>' +
+		'</div>' +
+		'<div style="display:flex;flex-wrap:wrap;align-items:center;gap:8px;margin-bottom:4px;color:#ccc;font-size:10px;">' +
+			'<span style="color:#ff8844;font-weight:600;">REDACT</span>' +
+			'<label style="display:flex;align-items:center;gap:3px;"><input id="http-report-tokens" type="checkbox" /> tokens / keys</label>' +
+			'<label style="display:flex;align-items:center;gap:3px;"><input id="http-report-cookies" type="checkbox" /> cookie values</label>' +
+			'<label style="display:flex;align-items:center;gap:3px;"><input id="http-report-params" type="checkbox" /> sensitive parameters</label>' +
+		'</div>' +
+		'<textarea id="http-report-patterns" spellcheck="false" placeholder="extra patterns to redact, one regex per line" style="'+reportField+'width:100%;height:50px;"></textarea>' +
+		'<div style="display:flex;align-items:center;gap:6px;margin:6px 0 10px;">' +
+			reportBtn('http-report-preview', 'PREVIEW', 'List the findings without downloading') +
+			reportBtn('http-report-md', 'MARKDOWN', 'Download as Markdown') +
+			reportBtn('http-report-html', 'HTML', 'Download as a standalone HTML page') +
+			reportBtn('http-report-sarif', 'SARIF', 'Download as SARIF 2.1.0') +
+			reportBtn('http-report-json', 'JSON', 'Download the report as JSON') +
+			'<span id="http-report-status" style="color:#888;font-size:10px;"></span>' +
+		'</div>' +
+		'<div id="http-report-list"></div>';
+	function showReportSettings(v){
+		document.getElementById('http-report-min').value = v.minScore;
+		document.getElementById('http-report-starred').checked = v.starred;
+		document.getElementById('http-report-chars').value = v.bodyChars;
+		document.getElementById('http-report-tokens').checked = v.redact.tokens;
+		document.getElementById('http-report-cookies').checked = v.redact.cookies;
+		document.getElementById('http-report-params').checked = v.redact.params;
+		document.getElementById('http-report-patterns').value = v.redact.patterns.join('\n');
+	}
+	function readReportSettings(){
+		return {
+			minScore: document.getElementById('http-report-min').value,
+			starred: document.getElementById('http-report-starred').checked,
+			bodyChars: document.getElementById('http-report-chars').value,
+			redact: {
+				tokens: document.getElementById('http-report-tokens').checked,
+				cookies: document.getElementById('http-report-cookies').checked,
+				params: document.getElementById('http-report-params').checked,
+				patterns: document.getElementById('http-report-patterns').value
+			}
+		};
+	}
+	function runReport(format){
+		const status = document.getElementById('http-report-status');
+		status.style.color = '#888'; status.textContent = 'Building...';
+		chrome.runtime.sendMessage({action:'report', format, settings: readReportSettings()}, res => {
+			const fail = error => { status.style.color = '#ff5555'; status.textContent = error; };
+			if (!res || !res.ok) { fail((res && res.error) || 'No response'); return; }
+			status.textContent = res.findings.length + ' findings from ' + res.requests + ' requests';
+			if (res.file) saveFile(res, error => fail('Download failed: ' + error));
+			showReportSettings(res.settings);
+			document.getElementById('http-report-list').innerHTML = res.findings.length ? res.findings.map(f =>
+				'<div style="display:flex;gap:8px;align-items:center;padding:3px 0;border-bottom:1px solid #151515;">' +
+					'<span style="color:#666;font-size:10px;min-width:24px;">'+escapeHtml(f.id)+'</span>' +
+					'<span style="color:'+(SEV_COLOR[f.severity] || '#888')+';font-size:10px;min-width:50px;">'+escapeHtml(f.severity)+'</span>' +
+					'<span style="color:#e0e0e0;flex:1;min-width:0;overflow-wrap:anywhere;">'+escapeHtml(f.title)+'</span>' +
+					'<span style="color:#666;font-size:10px;">x'+f.count+'</span>' +
+				'</div>').join('') : '<div style="color:#555;text-align:center;padding:25px;font-size:12px;">Nothing to report yet. Star requests or lower the minimum score.</div>';
+		});
+	}
+	['preview', 'md', 'html', 'sarif', 'json'].forEach(format => {
+		document.getElementById('http-report-' + format).onclick = ()=>runReport(format);
+	});
+	document.getElementById('http-report-toggle').onclick = ()=>{
+		if (currentView === 'report') { showView('list'); return; }
+		showView('report');
+		chrome.runtime.sendMessage({action:'getReportSettings'}, res => { if (res && res.value) { showReportSettings(res.value); runReport('preview'); } });
+	};
+
+	// Repeater: edit a captured request, resend it and compare with the original response
+	const repeaterView = document.getElementById('http-repeater');
+	function repeaterSide(title, color, res, error){
+		let inner;
+		if (error) inner = '<div style="color:#ff5555;">'+escapeHtml(error)+'</div>';
+		else if (!res) inner = '<div style="color:#555;font-style:italic;">(no response)</div>';
+		else inner =
+			'<div style="color:#888;font-size:10px;margin-bottom:4px;">'+escapeHtml(res.statusLine || ('HTTP ' + res.statusCode))+(res.time != null ? ' - '+res.time+' ms' : '')+'</div>' +
+			formatHeaders(res.headers, color) +
+			'<pre style="background:#050505;border:1px solid #1d1d1d;padding:6px;border-radius:4px;overflow:auto;max-height:160px;white-space:pre-wrap;color:#ccc;margin:6px 0 0;">'+(res.body != null ? escapeHtml(res.body) + (res.bodyTruncated ? ' [truncated]' : '') : '<span style="color:#555;">(body not captured)</span>')+'</pre>';
+		return '<div style="flex:1;min-width:0;border:1px solid #1d1d1d;background:#090909;border-radius:4px;padding:6px 8px;">' +
+			'<div style="color:'+color+';font-weight:700;margin-bottom:4px;font-size:10px;">'+title+'</div>' + inner + '</div>';
+	}
+	function renderComparison(res){
+		const out = document.getElementById('http-rep-result');
+		if (!out) return;
+		if (!res || !res.ok) { out.innerHTML = '<div style="color:#ff5555;">'+escapeHtml((res && res.error) || 'No response from background')+'</div>'; return; }
+		const diffColor = { '+': '#44dd55', '-': '#ff5555', ' ': '#777' };
+		const diffBg = { '+': '#0c1f0c', '-': '#240c0c', ' ': 'transparent' };
+		out.innerHTML =
+			'<div style="display:flex;gap:8px;align-items:flex-start;">' +
+				repeaterSide('ORIGINAL', '#44dd55', res.original, null) +
+				repeaterSide('REPEAT', '#00b7ff', res.repeat.response, res.repeat.error) +
+			'</div>' +
+			'<div style="color:#00b7ff;font-weight:600;margin:10px 0 4px;font-size:10px;">DIFF (original -> repeat)</div>' +
+			'<div style="background:#050505;border:1px solid #1d1d1d;border-radius:4px;padding:6px;max-height:240px;overflow:auto;">' +
+				res.diff.map(d => '<div style="white-space:pre-wrap;word-break:break-all;color:'+diffColor[d.op]+';background:'+diffBg[d.op]+';">'+escapeHtml(d.op + ' ' + d.text)+'</div>').join('') +
+			'</div>';
+	}
+	function openRepeater(id, repeatId){
+		showView('repeater');
+		repeaterView.innerHTML = '<div style="color:#555;padding:10px;">Loading...</div>';
+		chrome.runtime.sendMessage({action:'repeatSeed', id}, res => {
+			if (!res || !res.ok) { repeaterView.innerHTML = '<div style="color:#ff5555;padding:10px;">'+escapeHtml((res && res.error) || 'Request not found')+'</div>'; return; }
+			const rq = res.request;
+			const field = 'background:#000;color:#ccc;border:1px solid #1d1d1d;font:10px Consolas,Monaco,monospace;padding:5px;box-sizing:border-box;';
+			repeaterView.innerHTML =
+				'<div style="display:flex;align-items:center;gap:6px;margin-bottom:8px;">' +
+					'<span style="color:#00b7ff;font-weight:700;font-size:11px;">REPEATER</span>' +
+					'<button id="http-rep-back" style="margin-left:auto;background:#222;color:#ccc;border:1px solid #555;padding:3px 8px;cursor:pointer;font-size:10px;">BACK</button>' +
+				'</div>' +
+				'<div style="display:flex;gap:6px;margin-bottom:6px;">' +
+					'<input id="http-rep-method" value="'+escAttr(rq.method)+'" style="'+field+'width:70px;color:#00ff41;" />' +
+					'<input id="http-rep-url" value="'+escAttr(rq.url)+'" style="'+field+'flex:1;min-width:0;" />' +
+				'</div>' +
+				'<div style="color:#00ff41;font-weight:600;margin:4px 0;font-size:10px;">HEADERS (Name: value per line)</div>' +
+				'<textarea id="http-rep-headers" spellcheck="false" style="'+field+'width:100%;height:120px;">'+escapeHtml(rq.headers)+'</textarea>' +
+				'<div style="color:#00b7ff;font-weight:600;margin:4px 0;font-size:10px;">BODY</div>' +
+				'<textarea id="http-rep-body" spellcheck="false" style="'+field+'width:100%;height:80px;">'+escapeHtml(rq.body)+'</textarea>' +
+				'<div style="display:flex;align-items:center;gap:6px;margin:6px 0 10px;">' +
+					'<button id="http-rep-send" style="background:#002200;color:#00ff41;border:1px solid #00ff41;padding:4px 10px;cursor:pointer;font-size:10px;">SEND</button>' +
+					'<span id="http-rep-msg" style="color:#888;font-size:10px;"></span>' +
+				'</div>' +
+				'<div id="http-rep-result"></div>' +
+				'<div style="color:#00b7ff;font-weight:600;margin:10px 0 4px;font-size:10px;">HISTORY</div>' +
+				'<div id="http-rep-history">' + (res.repeats.length ? res.repeats.slice().reverse().map(rp =>
+					'<div class="rep-history" data-repeat="'+escAttr(rp.id)+'" style="display:flex;gap:8px;padding:3px 0;cursor:pointer;color:#ccc;font-size:10px;">' +
+						'<span style="color:#666;">'+fmtTime(rp.timestamp)+'</span>' +
+						'<span style="color:#00ff41;">'+escapeHtml(rp.method)+'</span>' +
+						'<span style="color:'+(rp.error ? '#ff5555' : '#44dd55')+';">'+(rp.error ? 'ERR' : rp.statusCode)+'</span>' +
+						'<span style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">'+escapeHtml(rp.url)+'</span>' +
+					'</div>').join('') : '<div style="color:#555;font-style:italic;">(none yet)</div>') + '</div>';
+			document.getElementById('http-rep-back').onclick = ()=>showView('list');
+			repeaterView.querySelectorAll('.rep-history').forEach(el => {
+				el.onclick = ()=>chrome.runtime.sendMessage({action:'repeatCompare', id, repeatId: el.dataset.repeat}, renderComparison);
+			});
+			const sendBtn = document.getElementById('http-rep-send');
+			const repMsg = document.getElementById('http-rep-msg');
+			sendBtn.onclick = ()=>{
+				sendBtn.disabled = true; repMsg.textContent = 'Sending...';
+				chrome.runtime.sendMessage({action:'repeat', id, request: {
+					method: document.getElementById('http-rep-method').value,
+					url: document.getElementById('http-rep-url').value,
+					headers: document.getElementById('http-rep-headers').value,
+					body: document.getElementById('http-rep-body').value
+				}}, r => {
+					sendBtn.disabled = false; repMsg.textContent = '';
+					renderComparison(r);
+				});
+			};
+			if (repeatId) chrome.runtime.sendMessage({action:'repeatCompare', id, repeatId}, renderComparison);
+		});
+	}
+
+	// Rules view: built-in + user rules, enable/disable, hit counters, JSON editor
+	const rulesView = document.getElementById('http-rules');
+	const RULE_TEMPLATE = { id: 'my-rule', label: 'CUSTOM', weight: 20, severity: 'medium', match: { method: 'POST', path: '^/api/', header: { name: 'X-Api-Key' } } };
+	let ruleDraft = JSON.stringify(RULE_TEMPLATE, null, 2);
+	document.getElementById('http-rules-toggle').onclick = ()=>{
+		if (currentView === 'rules') showView('list');
+		else { showView('rules'); loadRules(); }
+	};
+	function loadRules(){
+		chrome.runtime.sendMessage({action:'getRules'}, res => { if (res && res.builtins) renderRules(res); });
+	}
+	function ruleRow(r, user){
+		return '<div style="display:flex;align-items:center;gap:6px;padding:4px 0;border-bottom:1px solid #151515;">' +
+			'<input type="checkbox" class="rule-enabled" data-id="'+escAttr(r.id)+'"'+(r.enabled?' checked':'')+' title="Enabled" />' +
+			'<span style="background:#1b1b1b;color:#9fd;border:1px solid '+(SEV_COLOR[r.severity] || '#2a2')+';padding:2px 6px;border-radius:8px;font-size:9px;">'+escapeHtml(r.label)+'</span>' +
+			'<span style="color:#ccc;flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="'+escAttr(r.id)+'">'+escapeHtml(r.id)+'</span>' +
+			(r.severity ? '<span style="color:'+SEV_COLOR[r.severity]+';font-size:10px;">'+escapeHtml(r.severity)+'</span>' : '') +
+			'<span style="color:#888;font-size:10px;">w '+r.weight+'</span>' +
+			'<span style="color:#888;font-size:10px;min-width:48px;text-align:right;">'+r.hits+' hits</span>' +
+			(user ? '<button class="rule-edit" data-id="'+escAttr(r.id)+'" style="background:#222;color:#00ff41;border:1px solid #00ff41;padding:2px 6px;cursor:pointer;font-size:10px;">EDIT</button>' +
+				'<button class="rule-delete" data-id="'+escAttr(r.id)+'" style="background:#331010;color:#ff5555;border:1px solid #882222;padding:2px 6px;cursor:pointer;font-size:10px;">DEL</button>' : '') +
+		'</div>';
+	}
+	function renderRules(res){
+		rulesView.innerHTML =
+			'<div style="display:flex;align-items:center;gap:6px;margin-bottom:8px;">' +
+				'<span style="color:#00ff41;font-weight:700;font-size:11px;">TAGGING RULES</span>' +
+				'<button id="http-rules-import" title="Import rules from JSON" style="margin-left:auto;background:#222;color:#00ff41;border:1px solid #00ff41;padding:3px 6px;cursor:pointer;font-size:10px;">IMPORT</button>' +
+				'<button id="http-rules-export" title="Export user rules as JSON" style="background:#222;color:#00ff41;border:1px solid #00ff41;padding:3px 6px;cursor:pointer;font-size:10px;">EXPORT</button>' +
+				'<button id="http-rules-reset" title="Reset hit counters" style="background:#222;color:#ccc;border:1px solid #555;padding:3px 6px;cursor:pointer;font-size:10px;">RESET HITS</button>' +
+				'<input id="http-rules-file" type="file" accept=".json,application/json" style="display:none;" />' +
+			'</div>' +
+			'<div style="color:#00ff41;font-weight:600;margin:6px 0 4px;font-size:10px;">USER RULES</div>' +
+			(res.user.length ? res.user.map(r => ruleRow(r, true)).join('') : '<div style="color:#555;font-style:italic;padding:4px 0;">(none)</div>') +
+			'<div style="color:#00b7ff;font-weight:600;margin:10px 0 4px;font-size:10px;">RULE EDITOR (JSON) - saving an existing id replaces it</div>' +
+			'<textarea id="http-rule-editor" spellcheck="false" style="width:100%;box-sizing:border-box;height:150px;background:#000;color:#ccc;border:1px solid #1d1d1d;font:10px Consolas,Monaco,monospace;padding:6px;">'+escapeHtml(ruleDraft)+'</textarea>' +
+			'<div style="display:flex;align-items:center;gap:6px;margin:4px 0 10px;">' +
+				'<button id="http-rule-save" style="background:#002200;color:#00ff41;border:1px solid #00ff41;padding:3px 8px;cursor:pointer;font-size:10px;">SAVE RULE</button>' +
+				'<span id="http-rule-msg" style="font-size:10px;color:#888;"></span>' +
+			'</div>' +
+			'<div style="color:#00ff41;font-weight:600;margin:6px 0 4px;font-size:10px;">BUILT-IN RULES</div>' +
+			res.builtins.map(r => ruleRow(r, false)).join('');
+
+		const editor = document.getElementById('http-rule-editor');
+		const ruleMsg = document.getElementById('http-rule-msg');
+		editor.oninput = ()=>{ ruleDraft = editor.value; };
+		document.getElementById('http-rule-save').onclick = ()=>{
+			let rule;
+			try { rule = JSON.parse(editor.value); } catch (e) { ruleMsg.style.color = '#ff5555'; ruleMsg.textContent = 'Invalid JSON: ' + e.message; return; }
+			chrome.runtime.sendMessage({action:'saveRule', rule}, r => {
+				if (r && r.ok) loadRules();
+				else { ruleMsg.style.color = '#ff5555'; ruleMsg.textContent = (r && r.error) || 'Save failed'; }
+			});
+		};
+		rulesView.querySelectorAll('.rule-enabled').forEach(cb => {
+			cb.onchange = ()=>chrome.runtime.sendMessage({action:'setRuleEnabled', id: cb.dataset.id, enabled: cb.checked}, loadRules);
+		});
+		rulesView.querySelectorAll('.rule-edit').forEach(btn => {
+			btn.onclick = ()=>{
+				const r = res.user.find(x => x.id === btn.dataset.id);
+				if (!r) return;
+				ruleDraft = JSON.stringify({ id: r.id, label: r.label, weight: r.weight, severity: r.severity, match: r.match }, null, 2);
+				editor.value = ruleDraft;
+			};
+		});
+		rulesView.querySelectorAll('.rule-delete').forEach(btn => {
+			btn.onclick = ()=>{ if (confirm('Delete rule ' + btn.dataset.id + '?')) chrome.runtime.sendMessage({action:'deleteRule', id: btn.dataset.id}, loadRules); };
+		});
+		const rulesFile = document.getElementById('http-rules-file');
+		document.getElementById('http-rules-import').onclick = ()=>rulesFile.click();
+		rulesFile.onchange = ()=>{
+			const file = rulesFile.files && rulesFile.files[0];
+			if (!file) return;
+			const reader = new FileReader();
+			reader.onload = ()=>{
+				let rules;
+				try { rules = JSON.parse(reader.result); } catch (e) { alert('HTTP Analyzer: ' + file.name + ' is not valid JSON'); return; }
+				chrome.runtime.sendMessage({action:'importRules', rules}, r => {
+					if (!r || !r.ok) alert('HTTP Analyzer: rule import failed - ' + (r && r.error || 'no response'));
+					loadRules();
+				});
+			};
+			reader.readAsText(file);
+		};
+		document.getElementById('http-rules-export').onclick = ()=>chrome.runtime.sendMessage({action:'exportRules'}, r => saveFile(r, alertFailed('Rule export')));
+		document.getElementById('http-rules-reset').onclick = ()=>chrome.runtime.sendMessage({action:'resetRuleHits'}, loadRules);
+	}
+
+	// Response body capture: opt-in list of domains (subdomains included)
+	const bodyBtn = document.getElementById('http-body-capture');
+	let bodyCapture = null;
+	function showBodyCapture(v){
+		bodyCapture = v;
+		const on = v && v.domains.length;
+		bodyBtn.style.color = on ? '#00ff41' : '#888';
+		bodyBtn.style.borderColor = on ? '#00ff41' : '#555';
+		bodyBtn.title = on ? 'Capturing response bodies for: ' + v.domains.join(', ') : 'Response body capture is off (click to choose domains)';
+	}
+	chrome.runtime.sendMessage({action:'getBodyCapture'}, res => { if (res && res.value) showBodyCapture(res.value); });
+	bodyBtn.onclick = ()=>{
+		const cur = bodyCapture || { domains: [], maxBytes: 262144 };
+		const domains = prompt('Capture response bodies for these domains (comma-separated, subdomains included; empty = off). Uses the debugger API, so Chrome shows a "debugging this browser" bar.', cur.domains.length ? cur.domains.join(', ') : pageHost());
+		if (domains === null) return;
+		const kb = prompt('Max body size to keep (KB)', Math.round(cur.maxBytes / 1024));
+		if (kb === null) return;
+		chrome.runtime.sendMessage({action:'setBodyCapture', domains, maxBytes: (parseInt(kb, 10) || 256) * 1024}, res => { if (res && res.value) showBodyCapture(res.value); });
+	};
+
+	// Sessions + paging
+	let retention = null;
+	const sessionSelect = document.getElementById('http-session');
+	function loadSessions(){
+		chrome.runtime.sendMessage({action:'sessions'}, res => {
+			if (!res || !res.sessions) return;
+			retention = res.retention;
+			sessionSelect.innerHTML = res.sessions.map(s => '<option value="'+escAttr(s.id)+'"'+(s.id===res.activeSessionId?' selected':'')+'>'+escapeHtml(s.name)+'</option>').join('');
+		});
+	}
+	function afterSessionChange(res){
+		if (res && !res.ok && res.error) alert('HTTP Analyzer: ' + res.error);
+		loadSessions();
+	}
+	sessionSelect.onchange = ()=>chrome.runtime.sendMessage({action:'switchSession', id: sessionSelect.value}, afterSessionChange);
+	document.getElementById('http-session-new').onclick = ()=>{
+		const name = prompt('New session name', '');
+		if (name === null) return;
+		chrome.runtime.sendMessage({action:'createSession', name}, afterSessionChange);
+	};
+	document.getElementById('http-session-rename').onclick = ()=>{
+		const current = sessionSelect.options[sessionSelect.selectedIndex];
+		if (!current) return;
+		const name = prompt('Rename session', current.textContent);
+		if (!name) return;
+		chrome.runtime.sendMessage({action:'renameSession', id: current.value, name}, afterSessionChange);
+	};
+	document.getElementById('http-session-delete').onclick = ()=>{
+		const current = sessionSelect.options[sessionSelect.selectedIndex];
+		if (!current || !confirm('Delete session "' + current.textContent + '" and all its captured requests?')) return;
+		chrome.runtime.sendMessage({action:'deleteSession', id: current.value}, afterSessionChange);
+	};
+	document.getElementById('http-retention').onclick = ()=>{
+		const cur = retention || {};
+		const count = prompt('Keep at most N requests per session', cur.maxCount || '');
+		if (count === null) return;
+		const mb = prompt('Keep at most N MB per session', cur.maxBytes ? Math.round(cur.maxBytes / 1048576) : '');
+		if (mb === null) return;
+		chrome.runtime.sendMessage({action:'setRetention', maxCount: count, maxBytes: (parseFloat(mb) || 0) * 1048576}, res => {
+			if (res && res.ok) retention = res.retention;
+		});
+	};
+	document.getElementById('http-export').onclick = ()=>chrome.runtime.sendMessage({action:'export', format:'har'}, r => saveFile(r, alertFailed('Export')));
+	document.getElementById('http-export-json').onclick = ()=>chrome.runtime.sendMessage({action:'export', format:'json'}, r => saveFile(r, alertFailed('Export')));
+	const importFile = document.getElementById('http-import-file');
+	document.getElementById('http-import').onclick = ()=>importFile.click();
+	importFile.onchange = ()=>{
+		const file = importFile.files && importFile.files[0];
+		if (!file) return;
+		const reader = new FileReader();
+		reader.onload = ()=>{
+			let har;
+			try { har = JSON.parse(reader.result); } catch (e) { alert('HTTP Analyzer: ' + file.name + ' is not valid JSON'); return; }
+			chrome.runtime.sendMessage({action:'importHar', har}, res => {
+				if (!res || !res.ok) alert('HTTP Analyzer: import failed - ' + (res && res.error || 'no response'));
+			});
+		};
+		reader.readAsText(file);
+		importFile.value = '';
+	};
+	// Side and close belong to the frame host (content.js); other hosts have no page to share
+	const closeBtn = document.getElementById('http-close');
+	const sideBtn = document.getElementById('http-toggle-side');
+	function showSide(value){
+		side = value === 'left' ? 'left' : 'right';
+		sideBtn.textContent = side === 'right' ? 'Move Left' : 'Move Right';
+	}
+	if (HOST === 'devtools') closeBtn.style.display = 'none';
+	if (HOST !== 'frame') sideBtn.style.display = 'none';
+	closeBtn.onclick = ()=>{
+		if (HOST === 'frame') parent.postMessage({httpAnalyzer: 'close'}, '*');
+		else window.close();
+	};
+	sideBtn.onclick = ()=>{
+		const newSide = (side === 'right') ? 'left' : 'right';
+		chrome.runtime.sendMessage({action:'setPosition', value: newSide, tabId: TAB_ID}, res => {
+			if (!res || !res.ok) return;
+			showSide(newSide);
+			parent.postMessage({httpAnalyzer: 'side', side: newSide}, '*');
+		});
+	};
+	chrome.runtime.sendMessage({action:'panelInfo', tabId: TAB_ID}, res => {
+		if (!res || !res.ok) return;
+		pageUrl = res.url || '';
+		showSide(res.side);
+	});
+	// Load existing filter
+	chrome.runtime.sendMessage({action:'getFilter'}, res => { if(res && res.value){ filterInput.value = res.value; } });
+
+	// Query bar: the query is evaluated by the background snapshot handler
+	const queryInput = document.getElementById('http-query');
+	const sortSelect = document.getElementById('http-sort');
+	const savedSelect = document.getElementById('http-saved');
+	let currentQuery = '';
+	function applyQuery(){
+		const query = queryInput.value.trim();
+		if (query !== currentQuery) { currentQuery = query; subscribe(); }
+		sortRows(); renderList();
+	}
+	queryInput.onkeydown = ev => { if (ev.key === 'Enter') applyQuery(); };
+	sortSelect.onchange = applyQuery;
+	function renderSaved(filters, selected){
+		savedSelect.innerHTML = '<option value="">saved...</option>' + (filters || []).map(f => '<option value="'+escAttr(f.name)+'"'+(f.name===selected?' selected':'')+' data-query="'+escAttr(f.query)+'" data-sort="'+escAttr(f.sort)+'">'+escapeHtml(f.name)+'</option>').join('');
+	}
+	chrome.runtime.sendMessage({action:'getSavedFilters'}, res => { if (res) renderSaved(res.filters); });
+	savedSelect.onchange = ()=>{
+		const opt = savedSelect.selectedOptions[0];
+		if (!opt || !opt.value) return;
+		queryInput.value = opt.getAttribute('data-query') || '';
+		sortSelect.value = opt.getAttribute('data-sort') || 'time';
+		applyQuery();
+	};
+	document.getElementById('http-saved-save').onclick = ()=>{
+		const name = prompt('Save filter as', savedSelect.value || '');
+		if (!name) return;
+		chrome.runtime.sendMessage({action:'saveFilter', filter: {name, query: queryInput.value, sort: sortSelect.value}}, res => {
+			if (!res || !res.ok) { alert('Save failed: ' + ((res && res.error) || 'no response')); return; }
+			renderSaved(res.filters, res.filter.name);
+		});
+	};
+	document.getElementById('http-saved-delete').onclick = ()=>{
+		if (!savedSelect.value || !confirm('Delete saved filter "' + savedSelect.value + '"?')) return;
+		chrome.runtime.sendMessage({action:'deleteFilter', name: savedSelect.value}, res => { if (res && res.ok) renderSaved(res.filters); });
+	};
+
+	// Own tab by default, or every tab
+	const tabsBtn = document.getElementById('http-tabs');
+	let allTabs = false;
+	tabsBtn.onclick = ()=>{
+		allTabs = !allTabs;
+		tabsBtn.textContent = allTabs ? 'ALL TABS' : 'THIS TAB';
+		tabsBtn.title = allTabs ? 'Showing all tabs (click for this tab only)' : 'Showing this tab only (click for all tabs)';
+		subscribe();
+	};
+
+	// Live updates: one port per panel, reconnected if the background drops it
+	const QUERY_HELP = 'Query (Enter to apply). Fields: method status score tag host path url header body type star; - negates, ~ is substring';
+	let port = null;
+	function subscribe(){
+		if (port) port.postMessage({type:'subscribe', query: currentQuery, allTabs, tabId: TAB_ID});
+	}
+	function showHeld(n){ interceptBtn.textContent = n ? 'INTERCEPT (' + n + ')' : 'INTERCEPT'; }
+	function connect(){
+		try { port = chrome.runtime.connect({name:'http-panel'}); } catch (e) { port = null; return; } // extension reloaded
+		port.onMessage.addListener(msg => {
+			if (msg.type === 'error') {
+				queryInput.style.borderColor = '#ff5555';
+				queryInput.title = msg.error;
+			} else if (msg.type === 'reset') {
+				queryInput.style.borderColor = '#00ff41';
+				queryInput.title = QUERY_HELP;
+				rowById.clear();
+				msg.rows.forEach(r => rowById.set(r.id, r));
+				Array.from(openIds).forEach(id => { if (!rowById.has(id)) { openIds.delete(id); details.delete(id); } });
+				openIds.forEach(loadDetails);
+				showHeld(msg.held);
+				sortRows();
+				renderList();
+			} else if (msg.type === 'changes') {
+				showHeld(msg.held);
+				applyChanges(msg.upserts, msg.removes);
+			}
+		});
+		port.onDisconnect.addListener(() => { port = null; setTimeout(connect, 1000); });
+		subscribe();
+	}
+	loadSessions();
+	connect();
+}
+
+// panel.html is web accessible so that content.js can frame it, which lets any page frame
+// it as well. The frame host claims the one-time key content.js registered for it (passed
+// as the URL hash), the DevTools panel has the devtools API, and the window host must not
+// be framed at all; anywhere else the panel stays empty.
+(function(){
+	const params = new URLSearchParams(location.search);
+	const host = params.get('host') || 'frame';
+	const tabId = params.has('tabId') ? Number(params.get('tabId')) : undefined;
+	const start = () => startPanel(host, tabId);
+	const refuse = () => { document.body.textContent = ''; };
+	if (host === 'devtools') (chrome.devtools ? start : refuse)();
+	else if (host === 'window') (window.top === window ? start : refuse)();
+	else if (host !== 'frame' || window.top === window) refuse();
+	else chrome.runtime.sendMessage({action:'claimFrame', key: location.hash.slice(1)}, res => (res && res.ok ? start : refuse)());
+})();
@@ -0,0 +1,121 @@
+// Replays recorded webRequest sequences and checks what the worker stores and shows.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendMessage } from './helpers/chrome.js';
+import { dispatch, loadFixture, replay } from './helpers/replay.js';
+import '../background.js';
+import { restored } from '../background/worker.js';
+import { activeSessionId, flush, getAllEntries, store } from '../background/storage.js';
+import { recent429, recent429Times } from '../background/capture.js';
+
+await restored;
+replay(loadFixture('login'));
+replay(loadFixture('rate-limit'));
+
+const byId = id => store.find(e => e.id === id);
+const summary = e => [e.id, e.response?.statusCode ?? null, e.tags, e.score];
+
+test('a request is stored once its first event arrives and merged as the rest come in', () => {
+	const login = byId('101');
+	assert.equal(login.method, 'POST');
+	assert.equal(login.host, 'shop.example.com');
+	assert.equal(login.tabId, 7);
+	assert.equal(login.type, 'xmlhttprequest');
+	assert.equal(login.sessionId, activeSessionId);
+	assert.deepEqual(login.requestBody, { formData: { username: ['alice'], password: ['hunter2'] } });
+	assert.deepEqual(login.requestHeaders.map(h => h.name), ['Content-Type', 'Origin', 'X-Session-Id']);
+	assert.equal(login.response.statusLine, 'HTTP/1.1 200 OK');
+	assert.equal(login.response.fromCache, false);
+	assert.ok(login.response.completedAt >= login.response.timestamp);
+	assert.equal(byId('103').response.fromCache, true);
+});
+
+test('entries are tagged and scored from the request and the response', () => {
+	assert.deepEqual(summary(byId('101')), ['101', 200, ['AUTH', 'NOSNIFF', 'COOKIE-FLAGS', 'SENSITIVE'], 62]);
+	assert.deepEqual(byId('101').audit.cookies, [{ name: 'session', missing: ['Secure', 'HttpOnly', 'SameSite'] }]);
+	assert.deepEqual(summary(byId('102')), ['102', 200, ['AUTH', 'ACCOUNT', 'TECH'], 45]);
+	assert.deepEqual(summary(byId('103')), ['103', 200, ['CDN'], 5]);
+});
+
+test('429s are counted per host and path, and mark every live entry for that path', () => {
+	assert.deepEqual(Array.from(recent429), [['app.example.com|/api/otp/verify', 3]]);
+	assert.equal(recent429Times.get('app.example.com|/api/otp/verify').length, 3);
+	// The 401 came before the first 429 but shares the path, so it is marked too
+	['201', '202', '204', '206'].forEach(id => {
+		assert.equal(byId(id).recent429, true, id);
+		assert.deepEqual(byId(id).tags, ['SENSITIVE', 'ERROR', 'RATE-LIMIT'], id);
+		assert.equal(byId(id).score, 48, id);
+	});
+	assert.equal(byId('203').recent429, undefined);
+	assert.equal(byId('205').recent429, undefined);
+	assert.deepEqual(byId('205').tags, ['SENSITIVE']);
+});
+
+test('the live cache is written to IndexedDB, newest first', async () => {
+	await flush();
+	const entries = await getAllEntries(activeSessionId);
+	assert.deepEqual(entries.map(e => e.id), ['206', '205', '204', '203', '202', '201', '103', '102', '101']);
+	assert.deepEqual(summary(entries.find(e => e.id === '202')), ['202', 429, ['SENSITIVE', 'ERROR', 'RATE-LIMIT'], 48]);
+	assert.equal(entries.find(e => e.id === '201').requestBody.raw.length, 1);
+});
+
+test('snapshot pages through the session and applies the panel filters', async () => {
+	const all = await sendMessage({ action: 'snapshot', allTabs: true, limit: 4 });
+	assert.equal(all.total, 9);
+	assert.equal(all.sessionId, activeSessionId);
+	assert.deepEqual(all.data.map(e => e.id), ['206', '205', '204', '203']);
+	const next = await sendMessage({ action: 'snapshot', allTabs: true, offset: 4, limit: 4 });
+	assert.deepEqual(next.data.map(e => e.id), ['202', '201', '103', '102']);
+
+	// Own tab by default
+	const tab7 = await sendMessage({ action: 'snapshot' }, { tab: { id: 7 } });
+	assert.deepEqual(tab7.data.map(e => e.id), ['103', '102', '101']);
+	const devtools = await sendMessage({ action: 'snapshot', tabId: 3, query: 'status:4xx -status:401' });
+	assert.deepEqual(devtools.data.map(e => e.id), ['206', '204', '202']);
+
+	const queries = {
+		'tag:RATE-LIMIT method:POST': ['206', '204', '202', '201'],
+		'score:>=45 host:example.com': ['206', '204', '202', '201', '102', '101'],
+		'body~hunter2': ['101'],
+		'header:set-cookie=path': ['101'],
+		'type:script': ['103'],
+		'otp -verify': ['203']
+	};
+	for (const [query, ids] of Object.entries(queries)) {
+		const res = await sendMessage({ action: 'snapshot', allTabs: true, query });
+		assert.deepEqual(res.data.map(e => e.id), ids, query);
+		assert.equal(res.total, ids.length, query);
+	}
+
+	const byScore = await sendMessage({ action: 'snapshot', allTabs: true, sort: 'score', limit: 3 });
+	assert.deepEqual(byScore.data.map(e => e.id), ['101', '206', '204']);
+
+	const bad = await sendMessage({ action: 'snapshot', allTabs: true, query: 'bogus:1' });
+	assert.deepEqual(bad, { data: [], total: 0, queryError: 'Unknown field: bogus' });
+});
+
+test('the domain filter narrows every panel until it is cleared', async () => {
+	assert.deepEqual(await sendMessage({ action: 'setFilter', value: ' example.com ' }), { ok: true, value: 'example.com' });
+	const res = await sendMessage({ action: 'snapshot', allTabs: true });
+	assert.deepEqual(res.data.map(e => e.host), ['app.example.com', 'app.example.com', 'app.example.com', 'app.example.com', 'app.example.com', 'shop.example.com', 'shop.example.com']);
+	assert.deepEqual(await sendMessage({ action: 'setFilter', value: '' }), { ok: true, value: null });
+	assert.equal((await sendMessage({ action: 'snapshot', allTabs: true })).total, 9);
+});
+
+test('extension pages and the worker\'s own requests are not captured', () => {
+	dispatch('onBeforeRequest', { requestId: '900', tabId: 7, method: 'GET', url: 'chrome-extension://abcdefghijklmnopabcdefghijklmnop/panel.html' });
+	dispatch('onBeforeRequest', { requestId: '901', tabId: -1, method: 'GET', url: 'https://shop.example.com/api/login', initiator: location.origin });
+	dispatch('onSendHeaders', { requestId: '901', tabId: -1, method: 'GET', url: 'https://shop.example.com/api/login', initiator: location.origin, requestHeaders: [] });
+	assert.equal(byId('900'), undefined);
+	assert.equal(byId('901'), undefined);
+});
+
+test('out-of-scope requests are dropped and in-scope ones still captured', async () => {
+	const res = await sendMessage({ action: 'setScope', value: { include: ['*.example.com/api/*'], exclude: ['*/api/otp/*', ''] } });
+	assert.deepEqual(res, { ok: true, value: { include: ['*.example.com/api/*'], exclude: ['*/api/otp/*'] } });
+	dispatch('onBeforeRequest', { requestId: '301', tabId: 3, method: 'GET', url: 'https://app.example.com/api/otp/status' });
+	dispatch('onBeforeRequest', { requestId: '302', tabId: 3, method: 'GET', url: 'https://app.example.com/index.html' });
+	dispatch('onBeforeRequest', { requestId: '303', tabId: 3, method: 'GET', url: 'https://app.example.com:8443/api/orders' });
+	assert.deepEqual(['301', '302', '303'].map(id => !!byId(id)), [false, false, true]);
+	await sendMessage({ action: 'setScope', value: {} });
+});
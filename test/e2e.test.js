@@ -0,0 +1,136 @@
+// End to end: a tab browses the local stand-in server and the worker captures what goes over the wire.
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTab, chrome, sendMessage } from './helpers/chrome.js';
+import { installFetch, load } from './helpers/browser.js';
+import { startServer } from './helpers/server.js';
+import '../background.js';
+import { restored } from '../background/worker.js';
+import * as storage from '../background/storage.js';
+import { recent429 } from '../background/capture.js';
+
+await restored;
+const server = await startServer();
+const origin = server.origin;
+const host = new URL(origin).host;
+const restoreFetch = installFetch();
+after(() => { restoreFetch(); return server.close(); });
+
+const TAB = 4;
+addTab(TAB, origin + '/');
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+const entryFor = requestId => storage.store.find(e => e.id === requestId);
+const form = [{ name: 'Content-Type', value: 'application/x-www-form-urlencoded' }];
+
+test('a page load and its API calls are captured with what the server really sent', async () => {
+	await load(TAB, origin + '/', { type: 'main_frame' });
+	await load(TAB, origin + '/static/app.js', { type: 'script' });
+	const login = await load(TAB, origin + '/api/login', { method: 'POST', headers: form, body: 'username=alice&password=hunter2' });
+	const profile = await load(TAB, origin + '/api/users/42', { headers: [{ name: 'Cookie', value: 'session=5f2b9c' }] });
+	assert.deepEqual(server.requests.map(r => r.method + ' ' + r.path), ['GET /', 'GET /static/app.js', 'POST /api/login', 'GET /api/users/42']);
+
+	const entry = entryFor(login.requestId);
+	assert.equal(entry.host, host);
+	assert.equal(entry.tabId, TAB);
+	assert.deepEqual(entry.requestBody, { formData: { username: ['alice'], password: ['hunter2'] } });
+	assert.equal(entry.response.statusLine, 'HTTP/1.1 200 OK');
+	assert.ok(entry.response.responseHeaders.some(h => h.name === 'Set-Cookie' && h.value === 'session=5f2b9c; Path=/'));
+	assert.deepEqual([entry.tags, entry.score], [['AUTH', 'COOKIE-FLAGS', 'SENSITIVE'], 60]);
+	assert.deepEqual([entryFor(profile.requestId).tags, entryFor(profile.requestId).score], [['AUTH', 'ACCOUNT', 'TECH'], 45]);
+
+	const res = await sendMessage({ action: 'snapshot' }, { tab: { id: TAB } });
+	assert.deepEqual(res.data.map(e => e.url.slice(origin.length)), ['/api/users/42', '/api/login', '/static/app.js', '/']);
+	assert.deepEqual(res.data.at(-1).tags, ['CSP', 'CLICKJACK', 'NOSNIFF', 'REFERRER', 'PERMISSIONS']);
+});
+
+test('a burst of 429s marks the whole path as rate limited', async () => {
+	const statuses = [];
+	for (let i = 0; i < 4; i++) {
+		const res = await load(TAB, origin + '/api/otp/verify', { method: 'POST', headers: [{ name: 'Content-Type', value: 'application/json' }], body: '{"code":"000000"}' });
+		statuses.push(res.statusCode);
+		assert.deepEqual(entryFor(res.requestId).requestBody.raw.length, 1);
+	}
+	assert.deepEqual(statuses, [401, 401, 429, 429]);
+	assert.equal(recent429.get(host + '|/api/otp/verify'), 2);
+	const res = await sendMessage({ action: 'snapshot', allTabs: true, query: 'path:/api/otp/verify' });
+	assert.deepEqual(res.data.map(e => [e.response.statusCode, e.tags, e.score]), [
+		[429, ['SENSITIVE', 'ERROR', 'RATE-LIMIT'], 48],
+		[429, ['SENSITIVE', 'ERROR', 'RATE-LIMIT'], 48],
+		[401, ['SENSITIVE', 'ERROR', 'RATE-LIMIT'], 48],
+		[401, ['SENSITIVE', 'ERROR', 'RATE-LIMIT'], 48]
+	]);
+});
+
+test('with body capture on, the panel tab\'s response bodies are fetched over the debugger and audited', async () => {
+	chrome.action.onClicked.dispatch({ id: TAB });
+	await sendMessage({ action: 'setBodyCapture', domains: host.split(':')[0], maxBytes: 4095 });
+	await tick(10);
+	assert.deepEqual(chrome.debugger.calls.map(c => c.slice(0, 2)), [['attach', TAB], ['Network.enable', TAB]]);
+
+	// Bodies go to the oldest body-less entry for the URL, so these differ from the first test's
+	const profile = await load(TAB, origin + '/api/users/42?fields=all');
+	const script = await load(TAB, origin + '/static/app.js?v=2', { type: 'script' });
+	await tick(10);
+	const entry = entryFor(profile.requestId);
+	assert.deepEqual(entry.response.body, { text: profile.body, truncated: false, mimeType: 'application/json', size: profile.body.length });
+	assert.deepEqual(entry.tags, ['ACCOUNT', 'PII', 'TECH', 'INTERNAL-IP']);
+	assert.equal(entryFor(script.requestId).response.body.text, 'console.log("shop");');
+
+	// The cap is in bytes: 4095 of them hold 2047 two-byte characters and half of one, which is dropped
+	const notes = await load(TAB, origin + '/api/notes');
+	await tick(10);
+	assert.deepEqual(entryFor(notes.requestId).response.body, { text: 'ü'.repeat(2047), truncated: true, mimeType: 'text/plain', size: 6000 });
+
+	const found = await sendMessage({ action: 'snapshot', allTabs: true, query: 'body~alice@example.com' });
+	assert.deepEqual(found.data.map(e => e.id), [profile.requestId]);
+});
+
+test('replace rules reach the server, and a repeat goes out with only the edited headers', async () => {
+	const set = await sendMessage({ action: 'setReplaceRules', rules: [{ id: 'mr-1', type: 'request', match: '', replace: 'X-Pentest: 1' }] });
+	assert.equal(set.ok, true);
+	const echo = await load(TAB, origin + '/api/echo', { headers: [{ name: 'Accept', value: 'application/json' }] });
+	assert.equal(server.requests.at(-1).headers['x-pentest'], '1');
+	assert.deepEqual(entryFor(echo.requestId).requestHeaders.map(h => h.name), ['Accept', 'X-Pentest']);
+
+	const count = storage.store.length;
+	const res = await sendMessage({ action: 'repeat', id: echo.requestId, request: {
+		method: 'GET', url: origin + '/api/echo', headers: 'Accept: application/json\nX-Repeat: 2\nHost: evil.test', body: ''
+	} });
+	assert.equal(res.ok, true);
+	assert.equal(res.repeat.response.statusLine, 'HTTP/1.1 200 OK');
+	const seen = server.requests.at(-1).headers;
+	assert.deepEqual([seen['x-repeat'], seen.accept, seen['x-pentest'], seen.host], ['2', 'application/json', undefined, host]);
+	assert.ok(res.diff.some(line => line.op === '+' && line.text.includes('"x-repeat":"2"')));
+
+	// The worker's own request is not captured, and the one-off rule is gone again
+	assert.equal(storage.store.length, count);
+	assert.deepEqual(chrome.declarativeNetRequest.sessionRules.map(r => r.id), [100]);
+	assert.deepEqual((await sendMessage({ action: 'repeatSeed', id: echo.requestId })).repeats.map(r => [r.method, r.statusCode]), [['GET', 200]]);
+});
+
+test('captured bodies go out in the HAR export and come back on import', async () => {
+	await load(TAB, origin + '/api/notes', { method: 'POST', headers: [{ name: 'Content-Type', value: 'application/json' }], body: '{"note":"grüße"}' });
+	const har = JSON.parse((await sendMessage({ action: 'export' })).file.text);
+	const exported = har.log.entries.find(e => e.request.url === origin + '/api/users/42?fields=all');
+	const text = '{"id":42,"email":"alice@example.com","ip":"10.0.0.12"}';
+	assert.deepEqual(exported.response.content, { size: text.length, mimeType: 'application/json', text });
+	// Request body sizes are in bytes as well: 16 characters, two of them two bytes long
+	const posted = har.log.entries.find(e => e.request.method === 'POST' && e.request.url === origin + '/api/notes');
+	assert.deepEqual([posted.request.postData.text, posted.request.bodySize], ['{"note":"grüße"}', 18]);
+
+	// Base64 content is decoded when it is text and left out otherwise
+	const base = { startedDateTime: new Date().toISOString(), time: 1, timings: {} };
+	har.log.entries.push(
+		Object.assign({ request: { method: 'GET', url: origin + '/api/greeting', headers: [] }, response: { status: 200, headers: [],
+			content: { size: 10, mimeType: 'application/json; charset=utf-8', encoding: 'base64', text: Buffer.from('{"hi":"grüße"}').toString('base64') } } }, base),
+		Object.assign({ request: { method: 'GET', url: origin + '/logo.png', headers: [] }, response: { status: 200, headers: [],
+			content: { size: 8, mimeType: 'image/png', encoding: 'base64', text: 'iVBORw0KGgo=' } } }, base)
+	);
+	await sendMessage({ action: 'createSession', name: 'Imported' });
+	assert.equal((await sendMessage({ action: 'importHar', har })).ok, true);
+	const bodies = {};
+	(await sendMessage({ action: 'snapshot', allTabs: true, limit: 100 })).data.forEach(e => { if (e.response?.body) bodies[e.url.slice(origin.length)] = e.response.body; });
+	assert.deepEqual(bodies['/api/users/42?fields=all'], { text, truncated: false, mimeType: 'application/json', size: text.length });
+	assert.deepEqual(bodies['/api/greeting'], { text: '{"hi":"grüße"}', truncated: false, mimeType: 'application/json', size: 16 });
+	assert.equal(bodies['/logo.png'], undefined);
+});
@@ -0,0 +1,138 @@
+// Stand-in for Chrome's network stack around real HTTP requests: load() sends a page's
+// request and fires the webRequest events (and, where the worker has enabled the Network
+// domain, the DevTools ones) the way Chrome would, with the worker's declarativeNetRequest
+// session rules applied to the headers. installFetch() does the same for the worker's own
+// fetch(), which Chrome reports with tabId -1 and the extension as initiator.
+import { request } from 'node:http';
+import { chrome } from './chrome.js';
+
+let nextRequestId = 1;
+const responseBodies = new Map(); // DevTools requestId -> body text
+
+chrome.debugger.responses['Network.getResponseBody'] = ({ requestId }) =>
+	responseBodies.has(requestId) ? { body: Buffer.from(responseBodies.get(requestId)).toString('base64'), base64Encoded: true } : undefined;
+
+// True when the worker's last Network.enable for the tab has not been undone
+function networkEnabled(tabId) {
+	let on = false;
+	chrome.debugger.calls.forEach(([method, id]) => {
+		if (id !== tabId) return;
+		if (method === 'Network.enable') on = true;
+		else if (method === 'Network.disable' || method === 'detach') on = false;
+	});
+	return on;
+}
+
+function devtools(tabId, method, params) {
+	chrome.debugger.onEvent.dispatch({ tabId }, method, params);
+}
+
+// Matching session rules, highest priority first, cut off at the first allow rule
+function activeRules(url, tabId, initiator, type) {
+	const initiatorHost = initiator ? new URL(initiator).host : null;
+	const rules = chrome.declarativeNetRequest.sessionRules.filter(({ condition: c }) =>
+		(!c.regexFilter || new RegExp(c.regexFilter, c.isUrlFilterCaseSensitive ? '' : 'i').test(url)) &&
+		(!c.tabIds || c.tabIds.includes(tabId)) &&
+		(!c.initiatorDomains || c.initiatorDomains.includes(initiatorHost)) &&
+		(!c.excludedInitiatorDomains || !c.excludedInitiatorDomains.includes(initiatorHost)) &&
+		(!c.resourceTypes || c.resourceTypes.includes(type))
+	).sort((a, b) => b.priority - a.priority);
+	const allow = rules.findIndex(r => r.action.type === 'allow');
+	return allow < 0 ? rules : rules.slice(0, allow);
+}
+
+// A header already changed by a higher-priority rule is left alone by lower ones
+function modifyHeaders(headers, rules, key) {
+	const touched = new Set();
+	rules.forEach(rule => (rule.action[key] || []).forEach(({ header, operation, value }) => {
+		const name = header.toLowerCase();
+		if (touched.has(name)) return;
+		touched.add(name);
+		if (operation !== 'append') headers = headers.filter(h => h.name.toLowerCase() !== name);
+		if (operation !== 'remove') headers.push({ name: header, value });
+	}));
+	return headers;
+}
+
+// webRequest's requestBody: parsed form fields for urlencoded bodies, raw bytes otherwise
+function requestBody(headers, body) {
+	if (body == null || body === '') return undefined;
+	const type = headers.find(h => h.name.toLowerCase() === 'content-type')?.value || '';
+	if (/application\/x-www-form-urlencoded/i.test(type)) {
+		const formData = {};
+		new URLSearchParams(body).forEach((value, name) => { (formData[name] = formData[name] || []).push(value); });
+		return { formData };
+	}
+	return { raw: [{ bytes: new TextEncoder().encode(body).buffer }] };
+}
+
+function send(url, method, headers, body, signal) {
+	const flat = {};
+	headers.forEach(h => { const key = h.name.toLowerCase(); flat[key] = key in flat ? flat[key] + ', ' + h.value : h.value; });
+	return new Promise((resolve, reject) => {
+		const req = request(url, { method, headers: flat, agent: false, signal }, res => {
+			const chunks = [];
+			res.on('data', chunk => chunks.push(chunk));
+			res.on('end', () => {
+				const responseHeaders = [];
+				for (let i = 0; i < res.rawHeaders.length; i += 2) responseHeaders.push({ name: res.rawHeaders[i], value: res.rawHeaders[i + 1] });
+				resolve({
+					statusCode: res.statusCode,
+					statusLine: 'HTTP/' + res.httpVersion + ' ' + res.statusCode + ' ' + res.statusMessage,
+					statusText: res.statusMessage,
+					headers: responseHeaders,
+					body: Buffer.concat(chunks).toString('utf8')
+				});
+			});
+		});
+		req.on('error', reject);
+		req.end(body == null ? undefined : body);
+	});
+}
+
+async function navigate(tabId, url, { method = 'GET', headers = [], body, type = 'xmlhttprequest', initiator, signal } = {}) {
+	method = method.toUpperCase();
+	const requestId = String(nextRequestId++);
+	const devtoolsId = 'devtools-' + requestId;
+	const network = tabId >= 0 && networkEnabled(tabId);
+	const base = { requestId, tabId, method, url, type, initiator, frameId: 0, timeStamp: Date.now() };
+	const rules = activeRules(url, tabId, initiator, type);
+
+	chrome.webRequest.onBeforeRequest.dispatch(Object.assign({ requestBody: requestBody(headers, body) }, base));
+	if (network) devtools(tabId, 'Network.requestWillBeSent', { requestId: devtoolsId, request: { url, method } });
+	const requestHeaders = modifyHeaders(headers.slice(), rules, 'requestHeaders');
+	chrome.webRequest.onSendHeaders.dispatch(Object.assign({ requestHeaders }, base));
+
+	const res = await send(url, method, requestHeaders, body, signal);
+	const received = { statusCode: res.statusCode, statusLine: res.statusLine, responseHeaders: res.headers, fromCache: false };
+	chrome.webRequest.onHeadersReceived.dispatch(Object.assign({}, base, received));
+	const responseHeaders = modifyHeaders(res.headers.slice(), rules, 'responseHeaders');
+	chrome.webRequest.onResponseStarted.dispatch(Object.assign({}, base, received, { responseHeaders }));
+	if (network) {
+		const mimeType = (responseHeaders.find(h => h.name.toLowerCase() === 'content-type')?.value || '').split(';')[0];
+		devtools(tabId, 'Network.responseReceived', { requestId: devtoolsId, response: { url, status: res.statusCode, mimeType } });
+	}
+	chrome.webRequest.onCompleted.dispatch(Object.assign({}, base, received, { responseHeaders }));
+	if (network) {
+		responseBodies.set(devtoolsId, res.body);
+		devtools(tabId, 'Network.loadingFinished', { requestId: devtoolsId });
+	}
+	return Object.assign({ requestId }, res, { headers: responseHeaders });
+}
+
+// A page in tab `tabId` requests `url`; headers are [{name, value}], the initiator is the URL's origin
+export function load(tabId, url, opts = {}) {
+	return navigate(tabId, url, Object.assign({ initiator: new URL(url).origin }, opts));
+}
+
+// Replaces globalThis.fetch for the worker; only what the repeater uses is supported
+export function installFetch() {
+	const original = globalThis.fetch;
+	globalThis.fetch = async (url, init = {}) => {
+		const headers = Object.entries(init.headers || {}).map(([name, value]) => ({ name, value }));
+		const res = await navigate(chrome.tabs.TAB_ID_NONE, String(url), { method: init.method, headers, body: init.body, initiator: location.origin, signal: init.signal });
+		// 204 and 304 responses cannot have a body, not even an empty one
+		return new Response([204, 304].includes(res.statusCode) ? null : res.body, { status: res.statusCode, statusText: res.statusText, headers: res.headers.map(h => [h.name, h.value]) });
+	};
+	return () => { globalThis.fetch = original; };
+}
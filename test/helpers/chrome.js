@@ -0,0 +1,166 @@
+// Fake of the chrome.* APIs the background modules use. Importing this installs it as
+// globalThis.chrome, together with an in-memory IndexedDB, so it has to be imported
+// before any background module. Calls the worker makes are recorded for assertions
+// (downloads.calls, debugger.calls, scripting.calls, windows.calls), and events can
+// be fired with dispatch().
+import 'fake-indexeddb/auto';
+import { readFileSync } from 'node:fs';
+
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const manifest = JSON.parse(readFileSync(new URL('../../manifest.json', import.meta.url), 'utf8'));
+
+class FakeEvent {
+	constructor() { this.listeners = []; }
+	addListener(fn, filter, extraInfo) { this.listeners.push({ fn, filter, extraInfo }); }
+	removeListener(fn) { this.listeners = this.listeners.filter(l => l.fn !== fn); }
+	hasListener(fn) { return this.listeners.some(l => l.fn === fn); }
+	// Calls every listener in order; returns their return values
+	dispatch(...args) { return this.listeners.map(l => l.fn(...args)); }
+}
+
+// Values go through structuredClone, as with the real storage
+function storageArea() {
+	const data = new Map();
+	const area = {
+		data,
+		get(keys, cb) {
+			const names = keys == null ? Array.from(data.keys()) : typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+			const out = {};
+			names.forEach(k => { if (data.has(k)) out[k] = structuredClone(data.get(k)); });
+			if (cb) { setTimeout(() => cb(out)); return undefined; }
+			return Promise.resolve(out);
+		},
+		set(items, cb) {
+			Object.entries(items).forEach(([k, v]) => data.set(k, structuredClone(v)));
+			if (cb) { setTimeout(cb); return undefined; }
+			return Promise.resolve();
+		},
+		remove(keys, cb) {
+			[].concat(keys).forEach(k => data.delete(k));
+			if (cb) { setTimeout(cb); return undefined; }
+			return Promise.resolve();
+		}
+	};
+	return area;
+}
+
+// Runs a callback-style API's callback on a later tick with lastError set for that call only
+function callback(cb, result, error) {
+	if (!cb) return;
+	setTimeout(() => {
+		chrome.runtime.lastError = error ? { message: error } : undefined;
+		try { cb(result); } finally { chrome.runtime.lastError = undefined; }
+	});
+}
+
+const tabs = new Map(); // tabId -> tab
+
+export const chrome = {
+	runtime: {
+		id: EXTENSION_ID,
+		lastError: undefined,
+		onMessage: new FakeEvent(),
+		onConnect: new FakeEvent(),
+		getURL: path => 'chrome-extension://' + EXTENSION_ID + '/' + String(path).replace(/^\//, ''),
+		getManifest: () => manifest
+	},
+	storage: { local: storageArea(), session: storageArea() },
+	webRequest: {
+		onBeforeRequest: new FakeEvent(),
+		onSendHeaders: new FakeEvent(),
+		onHeadersReceived: new FakeEvent(),
+		onResponseStarted: new FakeEvent(),
+		onCompleted: new FakeEvent()
+	},
+	tabs: {
+		TAB_ID_NONE: -1,
+		onUpdated: new FakeEvent(),
+		onRemoved: new FakeEvent(),
+		get(tabId, cb) {
+			const tab = tabs.get(tabId);
+			callback(cb, tab, tab ? null : 'No tab with id: ' + tabId);
+		}
+	},
+	action: { onClicked: new FakeEvent() },
+	windows: {
+		calls: [],
+		create(opts) { chrome.windows.calls.push(opts); return Promise.resolve({ id: chrome.windows.calls.length }); }
+	},
+	scripting: {
+		calls: [],
+		// Tabs added with addTab(id, url, { scriptable: false }) reject like chrome:// pages
+		executeScript(opts) {
+			chrome.scripting.calls.push(opts);
+			const tab = tabs.get(opts.target.tabId);
+			if (!tab || tab.scriptable === false) return Promise.reject(new Error('Cannot access contents of the page'));
+			return Promise.resolve([{ result: undefined }]);
+		}
+	},
+	downloads: {
+		calls: [],
+		download(opts, cb) {
+			chrome.downloads.calls.push(opts);
+			if (cb) { callback(cb, chrome.downloads.calls.length); return undefined; }
+			return Promise.resolve(chrome.downloads.calls.length);
+		}
+	},
+	debugger: {
+		calls: [],
+		// method -> (params, target) => result for sendCommand
+		responses: {},
+		onEvent: new FakeEvent(),
+		onDetach: new FakeEvent(),
+		attach(target, version, cb) { chrome.debugger.calls.push(['attach', target.tabId]); callback(cb); },
+		detach(target, cb) { chrome.debugger.calls.push(['detach', target.tabId]); callback(cb); },
+		sendCommand(target, method, params, cb) {
+			chrome.debugger.calls.push([method, target.tabId, params]);
+			const respond = chrome.debugger.responses[method];
+			callback(cb, respond ? respond(params, target) : {});
+		}
+	},
+	declarativeNetRequest: {
+		sessionRules: [],
+		getSessionRules() { return Promise.resolve(structuredClone(chrome.declarativeNetRequest.sessionRules)); },
+		updateSessionRules({ removeRuleIds = [], addRules = [] }) {
+			const rules = chrome.declarativeNetRequest.sessionRules.filter(r => !removeRuleIds.includes(r.id));
+			for (const rule of addRules) {
+				if (rules.some(r => r.id === rule.id)) return Promise.reject(new Error('Rule with id ' + rule.id + ' already exists'));
+				rules.push(structuredClone(rule));
+			}
+			chrome.declarativeNetRequest.sessionRules = rules;
+			return Promise.resolve();
+		}
+	},
+	alarms: {
+		created: {},
+		onAlarm: new FakeEvent(),
+		create(name, info) { chrome.alarms.created[name] = info; }
+	}
+};
+
+export function addTab(id, url, extra) {
+	tabs.set(id, Object.assign({ id, url }, extra));
+}
+
+// runtime.sendMessage from a panel: resolves with what the worker passed to sendResponse
+export function sendMessage(msg, sender = {}) {
+	return new Promise(resolve => chrome.runtime.onMessage.dispatch(msg, sender, resolve));
+}
+
+// A runtime port as seen by the worker; `messages` collects what it posts to the panel
+export function connectPort(name, sender = {}) {
+	const port = {
+		name,
+		sender,
+		messages: [],
+		onMessage: new FakeEvent(),
+		onDisconnect: new FakeEvent(),
+		postMessage(msg) { port.messages.push(structuredClone(msg)); }
+	};
+	chrome.runtime.onConnect.dispatch(port);
+	return port;
+}
+
+globalThis.chrome = chrome;
+// Service workers have a location; isOwnRequest compares request initiators with its origin
+globalThis.location = { origin: 'chrome-extension://' + EXTENSION_ID, href: 'chrome-extension://' + EXTENSION_ID + '/background.js' };
@@ -0,0 +1,27 @@
+// Replays recorded webRequest event sequences (test/fixtures/*.json) into the worker.
+// A fixture is { description, events: [[eventName, details], ...] } with details as
+// Chrome delivers them, except that raw body chunks are written as { text } because
+// JSON has no ArrayBuffer.
+import { readFileSync } from 'node:fs';
+import { chrome } from './chrome.js';
+
+export function loadFixture(name) {
+	return JSON.parse(readFileSync(new URL('../fixtures/' + name + '.json', import.meta.url), 'utf8'));
+}
+
+function toDetails(details) {
+	const raw = details.requestBody?.raw;
+	if (!raw) return structuredClone(details);
+	const requestBody = { raw: raw.map(part => part.text != null ? { bytes: new TextEncoder().encode(part.text).buffer } : part) };
+	return Object.assign(structuredClone(details), { requestBody });
+}
+
+export function dispatch(eventName, details) {
+	const event = chrome.webRequest[eventName];
+	if (!event) throw new Error('No such webRequest event: ' + eventName);
+	event.dispatch(toDetails(details));
+}
+
+export function replay(fixture) {
+	fixture.events.forEach(([eventName, details]) => dispatch(eventName, details));
+}
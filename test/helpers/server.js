@@ -0,0 +1,67 @@
+// Local HTTP stand-in for the sites the end-to-end tests browse. Listens on a free port
+// of 127.0.0.1; every request it receives is recorded in `requests`.
+import { createServer } from 'node:http';
+
+const json = (res, status, body, headers = {}) => {
+	res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+	res.end(JSON.stringify(body));
+};
+
+// 'METHOD /path' -> (req, res, body) => void
+const ROUTES = {
+	'GET /': (req, res) => {
+		res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+		res.end('<!doctype html><title>Shop</title><script src="/static/app.js"></script>');
+	},
+	'GET /static/app.js': (req, res) => {
+		res.writeHead(200, { 'Content-Type': 'application/javascript', 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'max-age=600' });
+		res.end('console.log("shop");');
+	},
+	'POST /api/login': (req, res, body) => {
+		const form = new URLSearchParams(body);
+		if (form.get('password') !== 'hunter2') return json(res, 401, { error: 'Bad credentials' }, { 'X-Content-Type-Options': 'nosniff' });
+		json(res, 200, { ok: true, user: form.get('username') }, { 'Set-Cookie': 'session=5f2b9c; Path=/', 'X-Content-Type-Options': 'nosniff' });
+	},
+	'GET /api/users/42': (req, res) => {
+		json(res, 200, { id: 42, email: 'alice@example.com', ip: '10.0.0.12' }, { 'X-Powered-By': 'Express', 'X-Content-Type-Options': 'nosniff' });
+	},
+	// Rate limited from the third attempt on
+	'POST /api/otp/verify': (req, res, body, server) => {
+		const attempts = server.requests.filter(r => r.path === '/api/otp/verify').length;
+		if (attempts > 2) return json(res, 429, { error: 'Too many attempts' }, { 'Retry-After': '30', 'X-Content-Type-Options': 'nosniff' });
+		json(res, 401, { error: 'Wrong code' }, { 'X-Content-Type-Options': 'nosniff' });
+	},
+	// 6000 bytes of UTF-8 in 3000 characters
+	'GET /api/notes': (req, res) => {
+		res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'X-Content-Type-Options': 'nosniff' });
+		res.end('ü'.repeat(3000));
+	},
+	// The request headers as received, to check what was added or removed on the way
+	'GET /api/echo': (req, res) => {
+		json(res, 200, { headers: req.headers }, { 'X-Content-Type-Options': 'nosniff' });
+	}
+};
+
+export function startServer() {
+	const server = {
+		requests: [],
+		origin: null,
+		close: () => new Promise(resolve => { http.close(resolve); http.closeAllConnections(); })
+	};
+	const http = createServer((req, res) => {
+		const chunks = [];
+		req.on('data', chunk => chunks.push(chunk));
+		req.on('end', () => {
+			const path = req.url.split('?')[0];
+			const body = Buffer.concat(chunks).toString('utf8');
+			server.requests.push({ method: req.method, path, url: req.url, headers: req.headers, body });
+			const route = ROUTES[req.method + ' ' + path];
+			if (route) route(req, res, body, server);
+			else json(res, 404, { error: 'Not found' });
+		});
+	});
+	return new Promise(resolve => http.listen(0, '127.0.0.1', () => {
+		server.origin = 'http://127.0.0.1:' + http.address().port;
+		resolve(server);
+	}));
+}
@@ -0,0 +1,217 @@
+// The panel's messaging API: sessions, saved filters, export / import, stars and reports.
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTab, chrome, sendMessage } from './helpers/chrome.js';
+import { loadFixture, replay } from './helpers/replay.js';
+import '../background.js';
+import { restored } from '../background/worker.js';
+import { flush } from '../background/storage.js';
+import { correlatedFrom, runCorrelation } from '../background/correlation.js';
+import { importHar } from '../background/har.js';
+
+await restored;
+replay(loadFixture('login'));
+await flush();
+
+const ids = async (msg = {}) => (await sendMessage(Object.assign({ action: 'snapshot', allTabs: true }, msg))).data.map(e => e.id);
+
+test('getEntry loads one request of the active session', async () => {
+	const res = await sendMessage({ action: 'getEntry', id: '102' });
+	assert.equal(res.ok, true);
+	assert.equal(res.entry.url, 'https://shop.example.com/api/users/42?fields=email');
+	assert.equal(res.entry.requestBodyText, null);
+	// Decoded for the panel, since raw body bytes do not survive messaging
+	assert.equal((await sendMessage({ action: 'getEntry', id: '101' })).entry.requestBodyText, 'username=alice&password=hunter2');
+	assert.deepEqual(await sendMessage({ action: 'getEntry', id: 'nope' }), { ok: false, entry: null });
+});
+
+test('saved filters are validated, kept sorted by name and stored', async () => {
+	const saved = await sendMessage({ action: 'saveFilter', filter: { name: ' posts ', query: ' method:POST ', sort: 'score' } });
+	assert.deepEqual(saved.filter, { name: 'posts', query: 'method:POST', sort: 'score' });
+	await sendMessage({ action: 'saveFilter', filter: { name: 'errors', query: 'status:>=400', sort: 'sideways' } });
+	assert.deepEqual(await sendMessage({ action: 'saveFilter', filter: { name: 'bad', query: 'status:lots' } }), { ok: false, error: 'Bad number for status: lots' });
+	assert.deepEqual(await sendMessage({ action: 'saveFilter', filter: { query: 'x' } }), { ok: false, error: 'Name required' });
+
+	const list = await sendMessage({ action: 'getSavedFilters' });
+	assert.deepEqual(list.filters.map(f => [f.name, f.sort]), [['errors', 'time'], ['posts', 'score']]);
+	assert.deepEqual(list.sorts, ['time', 'oldest', 'score', 'status', 'host']);
+	assert.deepEqual(chrome.storage.local.data.get('savedFilters'), list.filters);
+
+	const after = await sendMessage({ action: 'deleteFilter', name: 'errors' });
+	assert.deepEqual(after.filters.map(f => f.name), ['posts']);
+	assert.deepEqual(chrome.storage.local.data.get('savedFilters').map(f => f.name), ['posts']);
+});
+
+test('panel position and info are per tab', async () => {
+	addTab(7, 'https://shop.example.com/cart');
+	assert.deepEqual(await sendMessage({ action: 'getPosition' }, { tab: { id: 7 } }), { value: 'right' });
+	assert.deepEqual(await sendMessage({ action: 'setPosition', value: 'left' }, { tab: { id: 7 } }), { ok: true });
+	assert.deepEqual(await sendMessage({ action: 'getPosition', tabId: 7 }), { value: 'left' });
+	assert.deepEqual(await sendMessage({ action: 'setPosition', value: 'left' }), { ok: false });
+	assert.deepEqual(await sendMessage({ action: 'panelInfo', tabId: 7 }), { ok: true, tabId: 7, url: 'https://shop.example.com/cart', side: 'left' });
+	assert.deepEqual(await sendMessage({ action: 'panelInfo', tabId: 99 }), { ok: false, error: 'No tab' });
+});
+
+test('a panel frame starts only with the one-time key content.js registered for its tab', async () => {
+	assert.deepEqual(await sendMessage({ action: 'registerFrame', key: 'k1' }), { ok: false });
+	assert.deepEqual(await sendMessage({ action: 'registerFrame', key: 'k1' }, { tab: { id: 7 } }), { ok: true });
+	assert.deepEqual(await sendMessage({ action: 'claimFrame', key: 'k1' }, { tab: { id: 8 } }), { ok: false });
+	assert.deepEqual(await sendMessage({ action: 'claimFrame', key: 'guess' }, { tab: { id: 7 } }), { ok: false });
+	assert.deepEqual(await sendMessage({ action: 'claimFrame', key: 'k1' }, { tab: { id: 7 } }), { ok: true });
+	assert.deepEqual(await sendMessage({ action: 'claimFrame', key: 'k1' }, { tab: { id: 7 } }), { ok: false });
+});
+
+test('export writes the active session as HAR 1.2 or as raw JSON', async () => {
+	// The file goes back to the panel, which saves it; the worker does not download anything
+	const res = await sendMessage({ action: 'export' });
+	assert.deepEqual([res.ok, res.count], [true, 3]);
+	const file = res.file;
+	assert.deepEqual([file.filename, file.type], ['http_analyzer_export.har', 'application/json']);
+	assert.equal(chrome.downloads.calls.length, 0);
+	const har = JSON.parse(file.text);
+	assert.equal(har.log.version, '1.2');
+	assert.deepEqual(har.log.creator, { name: 'HTTP Analyzer', version: '1.0' });
+	const login = har.log.entries.find(e => e.request.url.endsWith('/api/login'));
+	assert.equal(login.request.postData.text, 'username=alice&password=hunter2');
+	assert.deepEqual(login.response.cookies, [{ name: 'session', value: '5f2b9c' }]);
+	assert.deepEqual([login.response.status, login.response.statusText], [200, 'OK']);
+	assert.deepEqual([login._tags, login._score], [['AUTH', 'NOSNIFF', 'COOKIE-FLAGS', 'SENSITIVE'], 62]);
+
+	const raw = JSON.parse((await sendMessage({ action: 'export', format: 'json' })).file.text);
+	assert.deepEqual(raw.map(e => e.id), ['103', '102', '101']);
+});
+
+test('stars and notes are kept on the entry and listed in the report', async () => {
+	assert.deepEqual(await sendMessage({ action: 'setStar', id: '103', starred: true, note: '  why is this cached?  ' }), { ok: true, starred: true, note: 'why is this cached?' });
+	assert.deepEqual(await ids({ query: 'star:yes' }), ['103']);
+	assert.deepEqual(await sendMessage({ action: 'setStar', id: 'nope', starred: true }), { ok: false, error: 'Request not found in this session' });
+
+	const preview = await sendMessage({ action: 'report', format: 'preview' });
+	assert.equal(preview.requests, 3);
+	assert.deepEqual(preview.findings.map(f => [f.id, f.severity, f.title]), [
+		['F1', 'high', 'Authentication endpoint: POST shop.example.com/api/login'],
+		['F2', 'medium', 'Authentication endpoint: GET shop.example.com/api/users/{id}'],
+		['F3', 'info', 'CDN: GET d111111abcdef8.cloudfront.net/static/app.js']
+	]);
+
+	assert.equal(preview.file, undefined);
+	const md = (await sendMessage({ action: 'report', format: 'md', settings: { minScore: 50, starred: false, bodyChars: 2000 } })).file;
+	assert.deepEqual([md.filename, md.type], ['http_analyzer_report.md', 'text/markdown']);
+	assert.match(md.text, /^# HTTP Analyzer report - /);
+	assert.match(md.text, /username=alice&password=\[REDACTED\]/);
+	assert.match(md.text, /Set-Cookie: session=\[REDACTED\]; Path=\//);
+	assert.match(md.text, /X-Session-Id: \[REDACTED\]/);
+	assert.doesNotMatch(md.text, /hunter2|5f2b9c|a91f03c7e2|cloudfront/);
+	// The settings used last are stored and offered next time
+	assert.equal((await sendMessage({ action: 'getReportSettings' })).value.minScore, 50);
+	assert.equal(chrome.storage.local.data.get('reportSettings').starred, false);
+
+	assert.deepEqual(await sendMessage({ action: 'report', format: 'pdf' }), { ok: false, error: 'Unknown format: pdf' });
+});
+
+test('a token in a path segment is redacted wherever the report names the endpoint', async () => {
+	const first = (await sendMessage({ action: 'sessions' })).activeSessionId;
+	const { session } = await sendMessage({ action: 'createSession', name: 'Path token' });
+	const b64 = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+	const token = b64({ alg: 'HS256' }) + '.' + b64({ sub: '7' }) + '.c2lnbmF0dXJl';
+	await sendMessage({ action: 'importHar', har: { log: { version: '1.2', entries: [{ startedDateTime: new Date().toISOString(), time: 1, timings: {}, _starred: true,
+		request: { method: 'GET', url: 'https://a.example.com/admin/verify/' + token, headers: [] },
+		response: { status: 200, headers: [], content: { size: 0, mimeType: 'text/html' } } }] } } });
+
+	const settings = { minScore: 0, starred: true, bodyChars: 2000, redact: { tokens: true, cookies: true, params: true, patterns: [] } };
+	const preview = await sendMessage({ action: 'report', format: 'preview', settings });
+	assert.match(preview.findings[0].title, /: GET a\.example\.com\/admin\/verify\/\[REDACTED\]$/);
+	for (const format of ['md', 'html', 'sarif', 'json']) {
+		const text = (await sendMessage({ action: 'report', format, settings })).file.text;
+		assert.ok(text.includes('/admin/verify/[REDACTED]'), format);
+		assert.ok(!text.includes(token), format);
+	}
+	await sendMessage({ action: 'deleteSession', id: session.id });
+	assert.equal((await sendMessage({ action: 'sessions' })).activeSessionId, first);
+});
+
+test('sessions keep their entries apart', async () => {
+	const first = await sendMessage({ action: 'sessions' });
+	assert.equal(first.sessions.length, 1);
+	assert.deepEqual([first.sessions[0].count, first.sessions[0].id], [3, first.activeSessionId]);
+
+	const created = await sendMessage({ action: 'createSession', name: '  Staging  ' });
+	assert.equal(created.session.name, 'Staging');
+	assert.equal((await sendMessage({ action: 'sessions' })).activeSessionId, created.session.id);
+	assert.deepEqual(await ids(), []);
+
+	// A HAR import goes into the active session and keeps tags, stars and notes
+	await sendMessage({ action: 'switchSession', id: first.activeSessionId });
+	const exported = JSON.parse((await sendMessage({ action: 'export' })).file.text);
+	await sendMessage({ action: 'switchSession', id: created.session.id });
+	assert.deepEqual(await sendMessage({ action: 'importHar', har: { log: { version: '1.2', entries: [] } } }), { ok: true, count: 0 });
+	assert.deepEqual(await sendMessage({ action: 'importHar', har: exported }), { ok: true, count: 3 });
+	assert.deepEqual(await sendMessage({ action: 'importHar', har: { entries: [] } }), { ok: false, error: 'Not a HAR file (missing log.entries)' });
+	const imported = await sendMessage({ action: 'snapshot', allTabs: true, query: 'star:yes' });
+	assert.deepEqual(imported.data.map(e => [e.url, e.starred, e.note, e.tabId]), [['https://d111111abcdef8.cloudfront.net/static/app.js', true, 'why is this cached?', undefined]]);
+	// A second import of the same file adds its entries again, and the session count follows
+	await sendMessage({ action: 'importHar', har: exported });
+	assert.equal((await ids()).length, 6);
+	assert.equal((await sendMessage({ action: 'sessions' })).sessions.find(s => s.id === created.session.id).count, 6);
+
+	assert.deepEqual(await sendMessage({ action: 'switchSession', id: 'nope' }), { ok: false, error: 'Unknown session' });
+	assert.deepEqual(await sendMessage({ action: 'renameSession', id: created.session.id, name: 'Staging 2' }), { ok: true });
+	assert.deepEqual(await sendMessage({ action: 'renameSession', id: created.session.id, name: ' ' }), { ok: false, error: 'Name required' });
+
+	// Deleting the active session falls back to the newest remaining one
+	const deleted = await sendMessage({ action: 'deleteSession', id: created.session.id });
+	assert.deepEqual(deleted, { ok: true, activeSessionId: first.activeSessionId });
+	assert.equal(chrome.storage.local.data.get('activeSessionId'), first.activeSessionId);
+	assert.equal((await ids()).length, 3);
+
+	assert.deepEqual(await sendMessage({ action: 'clear' }), { ok: true });
+	assert.deepEqual(await ids(), []);
+});
+
+test('findings are correlated in the background, kept to the newest entries, and stored without counting entries again', async () => {
+	const first = (await sendMessage({ action: 'sessions' })).activeSessionId;
+	const { session } = await sendMessage({ action: 'createSession', name: 'Users' });
+	const now = Date.now();
+	const get = (path, ago, text = '') => ({ startedDateTime: new Date(now - ago).toISOString(), time: 1, timings: {},
+		request: { method: 'GET', url: 'https://shop.example.com' + path, headers: [] },
+		response: { status: 200, headers: [], content: { size: text.length, mimeType: 'application/json', text } } });
+	const findings = async () => (await sendMessage({ action: 'snapshot', allTabs: true })).data.map(e => e.findings);
+	const expected = [['TOKEN-IN-URL'], ['IDOR'], ['IDOR', 'TOKEN-IN-URL']];
+
+	// The import schedules a run for a few seconds later (or joins one already due)
+	mock.timers.enable({ apis: ['setTimeout'] });
+	try {
+		await importHar({ log: { version: '1.2', entries: [
+			get('/api/users/1', 3000, '{"reset_token":"r3set9kq2x7w"}'), get('/api/users/2', 2000), get('/reset/r3set9kq2x7w?step=1', 1000)
+		] } });
+		mock.timers.tick(5000);
+	} finally { mock.timers.reset(); }
+	for (let i = 0; i < 300 && JSON.stringify(await findings()) !== JSON.stringify(expected); i++) await new Promise(resolve => setTimeout(resolve, 20));
+	assert.deepEqual(await findings(), expected);
+	assert.equal((await sendMessage({ action: 'snapshot', allTabs: true, query: 'tag:IDOR' })).data.length, 2);
+
+	const res = await sendMessage({ action: 'findings' });
+	assert.deepEqual(res.findings.map(f => [f.code, f.entryIds.length]), [['TOKEN-IN-URL', 2], ['IDOR', 2]]);
+	assert.equal((await sendMessage({ action: 'sessions' })).sessions.find(s => s.id === session.id).count, 3);
+
+	// With a window of one entry the older two drop out and lose their findings
+	await runCorrelation(session.id, 1);
+	await flush();
+	assert.deepEqual(await findings(), [[], [], []]);
+	assert.deepEqual((await sendMessage({ action: 'snapshot', allTabs: true, query: 'tag:IDOR' })).data, []);
+	assert.equal(correlatedFrom.get(session.id), now - 1000);
+	assert.equal((await sendMessage({ action: 'sessions' })).sessions.find(s => s.id === session.id).count, 3);
+
+	await sendMessage({ action: 'deleteSession', id: session.id });
+	assert.equal((await sendMessage({ action: 'sessions' })).activeSessionId, first);
+});
+
+test('retention drops the oldest entries past the limits', async () => {
+	replay(loadFixture('rate-limit'));
+	await flush();
+	assert.equal((await ids()).length, 6);
+	const res = await sendMessage({ action: 'setRetention', maxCount: 4, maxBytes: 0 });
+	assert.deepEqual(res, { ok: true, retention: { maxCount: 4, maxBytes: 200 * 1024 * 1024 } });
+	assert.deepEqual(chrome.storage.local.data.get('retention'), res.retention);
+	assert.deepEqual(await ids(), ['206', '205', '204', '203']);
+});
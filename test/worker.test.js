@@ -0,0 +1,136 @@
+// A worker restart: state from chrome.storage is restored before queued events run.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTab, chrome, sendMessage } from './helpers/chrome.js';
+import { dispatch } from './helpers/replay.js';
+
+const now = Date.now();
+const b64 = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+const jwt = claims => b64({ alg: 'HS256' }) + '.' + b64(claims) + '.c2ln';
+const shared = jwt({ sub: '9', exp: Math.floor(now / 1000) + 600 });
+// What the previous worker left behind
+chrome.storage.session.data.set('workerState', {
+	activeTabs: [5],
+	positions: [[5, 'left']],
+	filterDomain: 'example.com',
+	interceptEnabled: true,
+	recent429Times: [['api.example.com|/login', [now - 60 * 1000, now - 1000]], ['api.example.com|/old', [now - 10 * 60 * 1000]]],
+	jwtHosts: [[shared, ['api.example.com']]]
+});
+chrome.storage.local.data.set('scope', { include: ['*.example.com'], exclude: [] });
+chrome.storage.local.data.set('intercept', { enabled: true, match: { host: 'api.example.com', path: '', method: 'POST', tag: '' }, timeoutMs: 5000, skipStatic: true });
+chrome.storage.local.data.set('replaceRules', [
+	{ id: 'mr-1', type: 'request', match: '', replace: 'X-Pentest: 1' },
+	{ id: 'mr-bad', type: 'request', match: 'partial value', replace: '' }
+]);
+
+// Imported only now, so the worker starts with the state above
+await import('../background.js');
+const { restored } = await import('../background/worker.js');
+
+// Both arrive while the worker is still restoring
+dispatch('onBeforeRequest', { requestId: '1', tabId: 5, method: 'POST', url: 'https://api.example.com/login', type: 'xmlhttprequest' });
+const early = sendMessage({ action: 'getFilter' });
+
+const { activeTabs, activePanelPosition } = await import('../background/panels.js');
+const { recent429 } = await import('../background/capture.js');
+// Namespaces, since the restore reassigns store, activeSessionId and intercept
+const storage = await import('../background/storage.js');
+const intercepting = await import('../background/intercept.js');
+await restored;
+
+test('panel tabs, sides, the domain filter and live 429 windows are restored', async () => {
+	assert.deepEqual(Array.from(activeTabs), [5]);
+	assert.deepEqual(Array.from(activePanelPosition), [[5, 'left']]);
+	assert.deepEqual(await early, { value: 'example.com' });
+	assert.deepEqual(Array.from(recent429), [['api.example.com|/login', 2]]);
+});
+
+test('events that arrived during the restore are handled afterwards, in the active session', () => {
+	const { activeSessionId, store } = storage;
+	assert.equal(store.length, 1);
+	assert.ok(activeSessionId);
+	assert.equal(store[0].sessionId, activeSessionId);
+	// The restored 429 window for that path applies to the new request as well
+	assert.equal(store[0].recent429, undefined);
+	dispatch('onResponseStarted', { requestId: '1', tabId: 5, method: 'POST', url: 'https://api.example.com/login', statusCode: 429, responseHeaders: [] });
+	assert.equal(recent429.get('api.example.com|/login'), 3);
+	assert.equal(store[0].recent429, true);
+	assert.ok(store[0].tags.includes('RATE-LIMIT'));
+});
+
+test('stored settings come back, with intercept on again and bad replace rules skipped', async () => {
+	const { intercept, replaceRules } = intercepting;
+	assert.equal(intercept.enabled, true);
+	assert.deepEqual(intercept.match, { host: 'api.example.com', path: '', method: 'POST', tag: '' });
+	assert.deepEqual(replaceRules.map(r => r.id), ['mr-1']);
+	assert.deepEqual(chrome.declarativeNetRequest.sessionRules.map(r => [r.id, r.action.requestHeaders, r.condition.regexFilter]), [
+		[100, [{ header: 'X-Pentest', operation: 'set', value: '1' }], '^[a-z][a-z0-9+.-]*://[^/]*\\.example\\.com(:[0-9]+)?.*([?#].*)?$']
+	]);
+	// The panel tab gets the debugger for the Fetch domain
+	await new Promise(resolve => setTimeout(resolve, 10));
+	assert.deepEqual(chrome.debugger.calls.slice(0, 2).map(c => c.slice(0, 2)), [['attach', 5], ['Fetch.enable', 5]]);
+});
+
+test('changes are mirrored to storage.session for the next worker', async () => {
+	await sendMessage({ action: 'setFilter', value: 'shop.example.com' });
+	await sendMessage({ action: 'setPosition', tabId: 5, value: 'right' });
+	await new Promise(resolve => setTimeout(resolve, 150));
+	const state = chrome.storage.session.data.get('workerState');
+	assert.equal(state.filterDomain, 'shop.example.com');
+	assert.deepEqual(state.positions, [[5, 'right']]);
+	assert.deepEqual(state.recent429Times.map(([key, times]) => [key, times.length]), [['api.example.com|/login', 3]]);
+});
+
+test('a token the previous worker saw on one host is reused when it reaches another', async () => {
+	dispatch('onBeforeRequest', { requestId: '3', tabId: 5, method: 'GET', url: 'https://shop.example.com/cart', type: 'xmlhttprequest' });
+	dispatch('onSendHeaders', { requestId: '3', tabId: 5, method: 'GET', url: 'https://shop.example.com/cart', requestHeaders: [{ name: 'Authorization', value: 'Bearer ' + shared }] });
+	const entry = storage.store.find(e => e.id === '3');
+	assert.deepEqual(entry.jwts[0].hosts, ['api.example.com', 'shop.example.com']);
+	assert.ok(entry.tags.includes('JWT-REUSED'));
+	await new Promise(resolve => setTimeout(resolve, 150));
+	assert.deepEqual(chrome.storage.session.data.get('workerState').jwtHosts, [[shared, ['api.example.com', 'shop.example.com']]]);
+});
+
+test('the prune alarm drops 429 windows that have run out', async () => {
+	assert.deepEqual(chrome.alarms.created.prune429, { periodInMinutes: 1 });
+	const times = (await import('../background/capture.js')).recent429Times;
+	times.set('api.example.com|/login', [now - 6 * 60 * 1000]);
+	chrome.alarms.onAlarm.dispatch({ name: 'prune429' });
+	assert.equal(recent429.size, 0);
+	assert.equal(times.size, 0);
+});
+
+test('held requests are tagged without counting their tokens as sent', async () => {
+	await sendMessage({ action: 'setIntercept', value: { enabled: true, match: { host: 'api.example.com', tag: 'jwt' } } });
+	const token = jwt({ sub: '7', exp: Math.floor(now / 1000) + 600 });
+	chrome.debugger.onEvent.dispatch({ tabId: 5 }, 'Fetch.requestPaused', {
+		requestId: 'p1', resourceType: 'XHR', request: { url: 'https://api.example.com/orders', method: 'GET', headers: { Authorization: 'Bearer ' + token } }
+	});
+	assert.deepEqual(Array.from(intercepting.held.values()).map(item => [item.id, item.tags]), [['5:p1', ['AUTH', 'JWT', 'JWT-HS256']]]);
+	assert.deepEqual(await sendMessage({ action: 'interceptAction', id: '5:p1', decision: 'drop' }), { ok: true, count: 1, error: undefined });
+
+	// Captured on a second host, the token has only been sent to that one
+	dispatch('onBeforeRequest', { requestId: '2', tabId: 5, method: 'GET', url: 'https://billing.example.com/invoices', type: 'xmlhttprequest' });
+	dispatch('onSendHeaders', { requestId: '2', tabId: 5, method: 'GET', url: 'https://billing.example.com/invoices', requestHeaders: [{ name: 'Authorization', value: 'Bearer ' + token }] });
+	const entry = storage.store.find(e => e.id === '2');
+	assert.deepEqual(entry.jwts[0].hosts, ['billing.example.com']);
+	assert.ok(!entry.tags.includes('JWT-REUSED'));
+});
+
+test('the toolbar button injects the panel, or opens a window where pages cannot be scripted', async () => {
+	addTab(8, 'https://shop.example.com/');
+	addTab(9, 'chrome://settings/', { scriptable: false });
+	chrome.action.onClicked.dispatch({ id: 8 });
+	chrome.action.onClicked.dispatch({ id: 9 });
+	await new Promise(resolve => setTimeout(resolve, 10));
+	assert.deepEqual(chrome.scripting.calls.map(c => [c.target.tabId, c.files]), [[8, ['content.js']], [9, ['content.js']]]);
+	assert.ok(activeTabs.has(8));
+	assert.ok(!activeTabs.has(9));
+	assert.deepEqual(chrome.windows.calls.map(c => [c.url, c.type]), [['chrome-extension://' + chrome.runtime.id + '/panel.html?host=window&tabId=9', 'popup']]);
+
+	// Closing the tab forgets it
+	chrome.tabs.onRemoved.dispatch(5);
+	assert.ok(!activeTabs.has(5));
+	assert.ok(!activePanelPosition.has(5));
+});